@@ -0,0 +1,310 @@
+/**
+ * @fileoverview
+ *
+ * The 'auto' theme, which picks the colors of the highlights from the text
+ * under them. See "Color themes" in hover-highlighter.js.
+ */
+
+import {COLOR_THEMES, DEFAULT_COLORS} from './color-themes.js';
+import {getFlatTreeParent} from './flat-tree.js';
+
+/**
+ * A color in the sRGB color space. The channels lie in [0, 255], and the alpha
+ * in [0, 1].
+ *
+ * @typedef {{red: number, green: number, blue: number, alpha: number}} Color
+ */
+
+/** @type {!Color} */
+const BLACK = Object.freeze({red: 0, green: 0, blue: 0, alpha: 1});
+/** @type {!Color} */
+const WHITE = Object.freeze({red: 255, green: 255, blue: 255, alpha: 1});
+
+/**
+ * The canvas of the pages with a dark color scheme, as Chrome paints it.
+ *
+ * @type {!Color}
+ */
+const DARK_CANVAS = Object.freeze({red: 18, green: 18, blue: 18, alpha: 1});
+
+/**
+ * The least contrast ratio between a highlight and the background of the
+ * page, so that it stands out.
+ */
+const MIN_HIGHLIGHT_CONTRAST = 1.3;
+
+/** The least contrast ratio of normal text, as per WCAG 2 level AA. */
+const MIN_TEXT_CONTRAST = 4.5;
+
+/**
+ * Parses the colors of the form "#1a2b3c", and the `rgb()` and `rgba()` colors
+ * that `getComputedStyle()` returns. Returns null for other colors.
+ *
+ * @param {string} color
+ * @return {?Color}
+ */
+function parseColor(color) {
+  const hexMatch = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  if (hexMatch != null) {
+    const [red, green, blue] =
+        hexMatch.slice(1).map((channel) => parseInt(channel, 16));
+    return {red, green, blue, alpha: 1};
+  }
+
+  const rgbMatch =
+      /^rgba?\(([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+))?\)$/
+          .exec(color);
+  if (rgbMatch != null) {
+    const [red, green, blue] = rgbMatch.slice(1, 4).map(Number);
+    const alpha = rgbMatch[4] == null ? 1 : Number(rgbMatch[4]);
+    return {red, green, blue, alpha};
+  }
+  return null;
+}
+
+/**
+ * @param {!Color} color
+ * @return {string} The color as a CSS color.
+ */
+function toCssColor({red, green, blue, alpha}) {
+  return `rgba(${Math.round(red)}, ${Math.round(green)}, ${
+      Math.round(blue)}, ${alpha})`;
+}
+
+/**
+ * @param {!Color} top
+ * @param {!Color} bottom Opaque.
+ * @return {!Color} The opaque color that `top` looks like when painted over
+ *     `bottom`.
+ */
+function compositeColor(top, bottom) {
+  const mix = (channel) =>
+      top[channel] * top.alpha + bottom[channel] * (1 - top.alpha);
+  return {red: mix('red'), green: mix('green'), blue: mix('blue'), alpha: 1};
+}
+
+/**
+ * @param {!Color} color Opaque.
+ * @return {number} The relative luminance of the color, as defined by WCAG 2.
+ */
+function getRelativeLuminance(color) {
+  const [red, green, blue] = [color.red, color.green, color.blue].map((c) => {
+    const channel = c / 255;
+    return channel <= 0.04045 ? channel / 12.92 :
+                                ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * @param {!Color} a Opaque.
+ * @param {!Color} b Opaque.
+ * @return {number} The contrast ratio of the colors, as defined by WCAG 2, in
+ *     [1, 21].
+ */
+function getContrastRatio(a, b) {
+  const [lighter, darker] =
+      [getRelativeLuminance(a), getRelativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Picks the colors of the highlights of the text of the given colors. Every
+ * highlight stands out from the background of the page, and its text meets
+ * the contrast of WCAG 2 level AA against it. The text keeps its own color if
+ * it can.
+ *
+ * The highlights aren't compared with each other: they differ in hue, which
+ * the contrast ratio doesn't measure.
+ *
+ * @param {!Color} pageBackground Opaque.
+ * @param {!Color} pageText Opaque.
+ * @return {!Object<string, {background: string, text: string}>}
+ */
+function getAutoThemeColors(pageBackground, pageText) {
+  const isDarkPage = getContrastRatio(pageBackground, WHITE) >
+      getContrastRatio(pageBackground, BLACK);
+  const themes = [
+    COLOR_THEMES[isDarkPage ? 'dark' : 'default'],
+    COLOR_THEMES[isDarkPage ? 'default' : 'dark'],
+    COLOR_THEMES['colorblind-safe'],
+    COLOR_THEMES['high-contrast'],
+  ];
+
+  const colors = {};
+  for (const granularity of Object.keys(DEFAULT_COLORS)) {
+    const contrastWithPage = (color) => getContrastRatio(color, pageBackground);
+    const candidates =
+        themes.map((theme) => parseColor(theme[granularity].background));
+    const background = candidates.find(
+        (candidate) => contrastWithPage(candidate) >= MIN_HIGHLIGHT_CONTRAST) ??
+        candidates.reduce(
+            (best, candidate) =>
+                contrastWithPage(candidate) > contrastWithPage(best) ?
+                candidate :
+                best);
+
+    let text = pageText;
+    if (getContrastRatio(text, background) < MIN_TEXT_CONTRAST) {
+      // One of them always meets the contrast.
+      text = getContrastRatio(WHITE, background) >
+              getContrastRatio(BLACK, background) ?
+          WHITE :
+          BLACK;
+    }
+
+    colors[granularity] = {
+      background: toCssColor(background),
+      text: toCssColor(text),
+    };
+  }
+  return colors;
+}
+
+/** Picks the colors of the highlights from the text under them. */
+export class AutoTheme {
+  #isEnabled = false;
+
+  /**
+   * The element whose colors the current ones were picked for.
+   *
+   * @type {?Element}
+   */
+  #element = null;
+
+  /** The current colors, as JSON, so that we don't set them again. */
+  #colorsJson = '';
+
+  #colorSchemeQuery = matchMedia('(prefers-color-scheme: dark)');
+
+  #colorSchemeChangeHandler = () => {
+    this.#pickColors(this.#element);
+  };
+
+  /** @type {!Element} */
+  #root;
+
+  /** @type {!Range} */
+  #wordRange;
+
+  /** @type {!Range} */
+  #lineRange;
+
+  /** @type {function(!Range): ?Element} */
+  #getContainingElement;
+
+  /**
+   * @type {function(!Object<string, {background: string, text: string}>)}
+   */
+  #applyColors;
+
+  /**
+   * @param {{
+   *   root: !Element,
+   *   wordRange: !Range,
+   *   lineRange: !Range,
+   *   getContainingElement: function(!Range): ?Element,
+   *   applyColors:
+   *       function(!Object<string, {background: string, text: string}>),
+   * }} dependencies The colors are picked for the element of the highlighted
+   *     line (or word), or else for the root, and set with `applyColors()`.
+   */
+  constructor({root, wordRange, lineRange, getContainingElement, applyColors}) {
+    this.#root = root;
+    this.#wordRange = wordRange;
+    this.#lineRange = lineRange;
+    this.#getContainingElement = getContainingElement;
+    this.#applyColors = applyColors;
+  }
+
+  /** @param {boolean} isEnabled */
+  configure(isEnabled) {
+    if (isEnabled !== this.#isEnabled) {
+      if (isEnabled) {
+        this.#colorSchemeQuery.addEventListener(
+            'change', this.#colorSchemeChangeHandler);
+      } else {
+        this.#colorSchemeQuery.removeEventListener(
+            'change', this.#colorSchemeChangeHandler);
+      }
+      this.#isEnabled = isEnabled;
+    }
+    // The `colors` option may have changed too.
+    this.#colorsJson = '';
+    if (isEnabled) this.#pickColors(this.#element);
+  }
+
+  /**
+   * Picks the colors again if the highlighted line moved to another element.
+   */
+  update() {
+    if (!this.#isEnabled) return;
+    const range =
+        this.#lineRange.collapsed ? this.#wordRange : this.#lineRange;
+    if (range.collapsed) return;
+
+    const element = this.#getContainingElement(range);
+    if (element != null && element !== this.#element) {
+      this.#pickColors(element);
+    }
+  }
+
+  destroy() {
+    this.configure(false);
+    this.#element = null;
+  }
+
+  /**
+   * @param {?Element} element The element with the text that the colors are
+   *     for. Null or disconnected for the root.
+   */
+  #pickColors(element) {
+    this.#element = element?.isConnected ? element : this.#root;
+    const background = this.#getPaintedBackground(this.#element);
+    const text = compositeColor(
+        parseColor(getComputedStyle(this.#element).color) ?? BLACK,
+        background);
+
+    const colors = getAutoThemeColors(background, text);
+    const colorsJson = JSON.stringify(colors);
+    if (colorsJson === this.#colorsJson) return;
+    this.#colorsJson = colorsJson;
+    this.#applyColors(colors);
+  }
+
+  /**
+   * Returns the color that the background behind the text of the given
+   * element is painted with. Only background colors count, not background
+   * images, and not the elements that merely overlap the element.
+   *
+   * @param {!Element} element
+   * @return {!Color} Opaque.
+   */
+  #getPaintedBackground(element) {
+    const layers = [];
+    for (let node = element; node instanceof Element;
+         node = getFlatTreeParent(node)) {
+      const color = parseColor(getComputedStyle(node).backgroundColor);
+      if (color == null || color.alpha === 0) continue;
+      layers.push(color);
+      if (color.alpha === 1) break;
+    }
+
+    let background = this.#isDarkCanvas() ? DARK_CANVAS : WHITE;
+    for (const layer of layers.reverse()) {
+      background = compositeColor(layer, background);
+    }
+    return background;
+  }
+
+  /**
+   * @return {boolean} Whether the browser paints the canvas of the page
+   *     dark, which depends on the color schemes that the page supports.
+   */
+  #isDarkCanvas() {
+    const colorSchemes =
+        getComputedStyle(document.documentElement).colorScheme.split(' ');
+    return colorSchemes.includes('dark') &&
+        (!colorSchemes.includes('light') || this.#colorSchemeQuery.matches);
+  }
+}
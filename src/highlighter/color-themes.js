@@ -0,0 +1,40 @@
+/**
+ * @fileoverview
+ *
+ * The colors of the highlights, and the presets of the `theme` option.
+ */
+
+/** The colors of the granularities that are not given any in the options. */
+export const DEFAULT_COLORS = Object.freeze({
+  word: Object.freeze({background: '#fde97d', text: '#000000'}),  // yellow
+  line: Object.freeze({background: '#add8e6', text: '#000000'}),  // light blue
+  sentence: Object.freeze({background: '#c8e6c9', text: '#000000'}),  // green
+});
+
+/**
+ * The color presets of the `theme` option, by name. Besides these, the 'auto'
+ * theme picks the colors from the text under the line. See `AutoTheme`.
+ *
+ * @type {!Object<string, !Object<string, {background: string, text: string}>>}
+ */
+export const COLOR_THEMES = Object.freeze({
+  'default': DEFAULT_COLORS,
+  // For pages with light text on a dark background.
+  'dark': Object.freeze({
+    word: Object.freeze({background: '#7a5c00', text: '#ffffff'}),
+    line: Object.freeze({background: '#1f3d5c', text: '#ffffff'}),
+    sentence: Object.freeze({background: '#2e4d2f', text: '#ffffff'}),
+  }),
+  'high-contrast': Object.freeze({
+    word: Object.freeze({background: '#ffff00', text: '#000000'}),
+    line: Object.freeze({background: '#000000', text: '#ffffff'}),
+    sentence: Object.freeze({background: '#00ffff', text: '#000000'}),
+  }),
+  // From the Okabe-Ito palette, whose colors can be told apart with any kind
+  // of color vision deficiency.
+  'colorblind-safe': Object.freeze({
+    word: Object.freeze({background: '#e69f00', text: '#000000'}),  // orange
+    line: Object.freeze({background: '#56b4e9', text: '#000000'}),  // sky blue
+    sentence: Object.freeze({background: '#009e73', text: '#000000'}),
+  }),
+});
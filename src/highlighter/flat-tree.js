@@ -0,0 +1,195 @@
+/**
+ * @fileoverview
+ *
+ * Walking the DOM tree. We walk the flat tree, i.e., the tree as it is
+ * rendered, so that we go into open shadow roots instead of the light DOM
+ * children of their hosts, and into the nodes assigned to `<slot>`s.
+ */
+
+export function occupiesSpace(node) {
+  return node.nodeType !== Node.ELEMENT_NODE ||
+      (node.offsetWidth > 0 && node.offsetHeight > 0) ||
+      // These elements don't have a box of their own, but their children do.
+      // E.g., the `<slot>` elements of shadow trees.
+      getComputedStyle(node).display === 'contents';
+}
+
+/**
+ * @param {!Node} node
+ * @return {?Node}
+ */
+export function getFlatTreeParent(node) {
+  if (node.assignedSlot != null) return node.assignedSlot;
+  const parent = node.parentNode;
+  return parent instanceof ShadowRoot ? parent.host : parent;
+}
+
+/**
+ * @param {!Node} node
+ * @param {!Node} root The root of the highlighter.
+ * @return {boolean} Whether the given node is `root` or one of its
+ *     descendants in the flat tree.
+ */
+export function isInRoot(node, root) {
+  for (let ancestor = node; ancestor != null;
+       ancestor = getFlatTreeParent(ancestor)) {
+    if (ancestor === root) return true;
+  }
+  return false;
+}
+
+/**
+ * @param {!Node} node
+ * @return {!ArrayLike<!Node>}
+ */
+export function getFlatTreeChildren(node) {
+  if (node.shadowRoot != null) return node.shadowRoot.childNodes;
+  if (node instanceof HTMLSlotElement) {
+    const assignedNodes = node.assignedNodes({flatten: true});
+    // If nothing is assigned to the slot, its children are rendered.
+    if (assignedNodes.length > 0) return assignedNodes;
+  }
+  return node.childNodes;
+}
+
+/**
+ * @param {!Node} node
+ * @param {number} direction 1 for the next sibling, -1 for the previous one.
+ * @return {?Node}
+ */
+export function getFlatTreeSibling(node, direction) {
+  const parent = getFlatTreeParent(node);
+  if (parent == null) return null;
+  if (parent.shadowRoot == null && !(parent instanceof HTMLSlotElement)) {
+    // Fast path: the regular DOM tree.
+    return direction > 0 ? node.nextSibling : node.previousSibling;
+  }
+  const siblings = [...getFlatTreeChildren(parent)];
+  return siblings[siblings.indexOf(node) + direction] ?? null;
+}
+
+/**
+ * Returns the last non-empty text node that comes before `node` in the DOM
+ * tree, skipping the elements that don't occupy space. Returns null if there
+ * is no such text node inside `root`.
+ *
+ * Note that the previous node does not necessarily mean previous sibling,
+ * which is why this algorithm is a bit complex.
+ *
+ * This function is symmetrical to `getNextTextNodeInTree()`.
+ *
+ * @param {!Node} node
+ * @param {!Node} root The root of the highlighter.
+ * @return {?Text}
+ */
+export function getPreviousTextNodeInTree(node, root) {
+  let currentNode = node;
+  while (true) {
+    let previousNode = getFlatTreeSibling(currentNode, -1);
+    if (previousNode == null) {
+      // Complex scenario: there is no previous consecutive sibling. We must
+      // go to the previous uncle.
+      let parent = getFlatTreeParent(currentNode);
+      while (true) {
+        if (parent == null || parent === root) {
+          // We arrived at the very beginning of the root. Nothing else to
+          // do.
+          return null;
+        }
+        previousNode = getFlatTreeSibling(parent, -1);
+        if (previousNode != null) break;
+        // We don't have a previous uncle. Move to the grandparent and keep
+        // looking there.
+        parent = getFlatTreeParent(parent);
+      }
+    }
+    if (!occupiesSpace(previousNode)) {
+      currentNode = previousNode;
+      continue;
+    }
+
+    // We found the previous node in the DOM tree. We must look for its last
+    // child text. Note that, in this context, a node is considered a child
+    // of itself.
+    const lastTextNode = getLastNonEmptyTextNode(previousNode);
+    if (lastTextNode != null) return lastTextNode;
+
+    // No text nodes covered by `previousNode`. Move on to the previous node
+    // to restart the search for the new previous node.
+    currentNode = previousNode;
+  }
+}
+
+/**
+ * Returns the first non-empty text node that comes after `node` in the DOM
+ * tree, skipping the elements that don't occupy space. Returns null if there
+ * is no such text node inside `root`.
+ *
+ * This function is symmetrical to `getPreviousTextNodeInTree()`.
+ *
+ * @param {!Node} node
+ * @param {!Node} root The root of the highlighter.
+ * @return {?Text}
+ */
+export function getNextTextNodeInTree(node, root) {
+  let currentNode = node;
+  while (true) {
+    let nextNode = getFlatTreeSibling(currentNode, 1);
+    if (nextNode == null) {
+      // Complex scenario: there is no next consecutive sibling. We must go
+      // to the next uncle.
+      let parent = getFlatTreeParent(currentNode);
+      while (true) {
+        if (parent == null || parent === root) {
+          // We arrived at the very end of the root. Nothing else to do.
+          return null;
+        }
+        nextNode = getFlatTreeSibling(parent, 1);
+        if (nextNode != null) break;
+        // We don't have a next uncle. Move to the grandparent and keep
+        // looking there.
+        parent = getFlatTreeParent(parent);
+      }
+    }
+    if (!occupiesSpace(nextNode)) {
+      currentNode = nextNode;
+      continue;
+    }
+
+    // We found the next node in the DOM tree. We must look for its first
+    // child text. Note that, in this context, a node is considered a child
+    // of itself.
+    const nextTextNode = getNextTextNode(nextNode);
+    if (nextTextNode != null) return nextTextNode;
+
+    // No text nodes covered by `nextNode`. Move on to the next node to
+    // restart the search for the new next node.
+    currentNode = nextNode;
+  }
+}
+
+export function getLastNonEmptyTextNode(root) {
+  if (root.nodeType === Node.TEXT_NODE) {
+    return root.textContent === '' ? null : root;
+  }
+  const childNodes = getFlatTreeChildren(root);
+  for (let i = childNodes.length - 1; i >= 0; i--) {
+    const childNode = childNodes[i];
+    if (!occupiesSpace(childNode)) continue;
+    const lastTextNode = getLastNonEmptyTextNode(childNode);
+    if (lastTextNode != null) return lastTextNode;
+  }
+  return null;
+}
+
+export function getNextTextNode(root) {
+  if (root.nodeType === Node.TEXT_NODE) {
+    return root.textContent === '' ? null : root;
+  }
+  for (const childNode of getFlatTreeChildren(root)) {
+    if (!occupiesSpace(childNode)) continue;
+    const nextTextNode = getNextTextNode(childNode);
+    if (nextTextNode != null) return nextTextNode;
+  }
+  return null;
+}
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview
+ *
+ * The reading ruler, which dims the page except for a band around the
+ * highlighted line.
+ */
+
+/**
+ * The reading ruler: dims (and optionally blurs) the whole page except for a
+ * horizontal band around a line. The band follows the line on scroll and
+ * resize, even if the pointer doesn't move.
+ *
+ * It's drawn with two fixed overlays, one above the band and one below it,
+ * that don't intercept pointer events.
+ */
+export class FocusMask {
+  #aboveOverlay = FocusMask.#createOverlay();
+  #belowOverlay = FocusMask.#createOverlay();
+
+  /**
+   * A copy of the last non-collapsed line that was followed. We keep our own
+   * copy so that the band stays in place while the pointer is over
+   * whitespace, where there's no line highlighted.
+   */
+  #lineRange = document.createRange();
+
+  #extraLines = 0;
+  #animationFrameRequest = 0;
+
+  /** @type {!OverlayHost} */
+  #overlayHost;
+
+  /** Whether the mask is shown. Changed through `configure()`. */
+  isEnabled = false;
+
+  #scrollOrResizeHandler = () => {
+    this.#scheduleRender();
+  };
+
+  /** @param {!OverlayHost} overlayHost Where the overlays go. */
+  constructor(overlayHost) {
+    this.#overlayHost = overlayHost;
+  }
+
+  /** @return {!HTMLDivElement} */
+  static #createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'hover-highlighter_focus-mask';
+    return overlay;
+  }
+
+  /**
+   * Shows or hides the mask according to the `focusMask` option. See
+   * `HoverHighlighterOptions`.
+   *
+   * @param {?{extraLines: number, opacity: number, blur: boolean}} options
+   *     Null hides the mask.
+   */
+  configure(options) {
+    const isEnabled = options != null;
+    if (isEnabled !== this.isEnabled) {
+      this.isEnabled = isEnabled;
+      if (isEnabled) {
+        this.#overlayHost.attach(this.#aboveOverlay, this.#belowOverlay);
+        document.addEventListener(
+            'scroll', this.#scrollOrResizeHandler,
+            {capture: true, passive: true});
+        window.addEventListener('resize', this.#scrollOrResizeHandler);
+      } else {
+        this.destroy();
+      }
+    }
+    if (!isEnabled) return;
+
+    this.#extraLines = options.extraLines;
+    for (const overlay of [this.#aboveOverlay, this.#belowOverlay]) {
+      overlay.style.setProperty(
+          '--hover_highlighter-focus_mask_opacity', options.opacity);
+      overlay.classList.toggle('blur', options.blur);
+    }
+    this.#scheduleRender();
+  }
+
+  /**
+   * Moves the band to the given line. Collapsed lines are ignored, so the
+   * band stays where it was.
+   *
+   * @param {!Range} lineRange
+   */
+  follow(lineRange) {
+    if (!this.isEnabled || lineRange.collapsed) return;
+
+    this.#lineRange.setStart(lineRange.startContainer, lineRange.startOffset);
+    this.#lineRange.setEnd(lineRange.endContainer, lineRange.endOffset);
+    this.#scheduleRender();
+  }
+
+  /** Hides the mask and stops listening to scroll and resize events. */
+  destroy() {
+    this.isEnabled = false;
+    this.#overlayHost.detach(this.#aboveOverlay, this.#belowOverlay);
+    document.removeEventListener(
+        'scroll', this.#scrollOrResizeHandler, {capture: true});
+    window.removeEventListener('resize', this.#scrollOrResizeHandler);
+    cancelAnimationFrame(this.#animationFrameRequest);
+    this.#animationFrameRequest = 0;
+  }
+
+  /** Renders at most once per frame, no matter how many scroll events. */
+  #scheduleRender() {
+    if (this.#animationFrameRequest !== 0) return;
+    this.#animationFrameRequest = requestAnimationFrame(() => {
+      this.#animationFrameRequest = 0;
+      this.#render();
+    });
+  }
+
+  #render() {
+    if (!this.isEnabled) return;
+
+    // Until there's a line to follow, don't dim anything.
+    let bandTop = 0;
+    let bandBottom = window.innerHeight;
+    if (!this.#lineRange.collapsed) {
+      const lineRect = this.#lineRange.getBoundingClientRect();
+      const extraHeight = this.#extraLines * lineRect.height;
+      bandTop = lineRect.top - extraHeight;
+      bandBottom = lineRect.bottom + extraHeight;
+    }
+
+    this.#aboveOverlay.style.top = '0';
+    this.#aboveOverlay.style.height = `${Math.max(bandTop, 0)}px`;
+    this.#belowOverlay.style.top = `${bandBottom}px`;
+    this.#belowOverlay.style.bottom = '0';
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview
+ *
+ * Guided reading, which moves the highlights forward by itself. See "Guided
+ * reading" in hover-highlighter.js.
+ */
+
+import {getRangeText} from './ranges.js';
+
+/**
+ * @param {string} text
+ * @param {function(string): boolean} isVisibleWordChar
+ * @return {number} The number of words in the text.
+ */
+function countWords(text, isVisibleWordChar) {
+  let count = 0;
+  let isInWord = false;
+  for (const char of text) {
+    const isVisible = isVisibleWordChar(char);
+    if (isVisible && !isInWord) count++;
+    isInWord = isVisible;
+  }
+  return count;
+}
+
+/** Moves the highlights forward by itself, one line or word at a time. */
+export class GuidedReading {
+  /**
+   * The `guidedReading` option. See `HoverHighlighterOptions`. Null means
+   * that guided reading is disabled.
+   *
+   * @type {?{wordsPerMinute: number, followWords: boolean}}
+   */
+  #options = null;
+
+  #timeout = 0;
+
+  /**
+   * The first word character of the highlighted line, or word if words are
+   * followed. Null while guided reading is off.
+   *
+   * @type {?{offsetNode: !Text, offset: number}}
+   */
+  #position = null;
+
+  /**
+   * Where the highlighted line or word ends. The next one starts at the
+   * first word character after it.
+   *
+   * @type {?{node: !Text, offset: number}}
+   */
+  #end = null;
+
+  /** @type {!Element} */
+  #root;
+
+  /** @type {!Range} */
+  #wordRange;
+
+  /** @type {!Range} */
+  #lineRange;
+
+  /**
+   * @type {function({offsetNode: !Text, offset: number}, boolean, boolean)}
+   */
+  #highlightWordAt;
+
+  /** @type {function(?Text, number): ?{offsetNode: !Text, offset: number}} */
+  #findNextWordChar;
+
+  /** @type {function(): ?{offsetNode: !Text, offset: number}} */
+  #findFirstVisibleWordChar;
+
+  /** @type {function(): boolean} */
+  #isLineHighlighted;
+
+  /** @type {function(string): boolean} */
+  #isVisibleWordChar;
+
+  /** Whether it's on, but waiting for the user to resume it. */
+  isPaused = false;
+
+  /**
+   * @param {{
+   *   root: !Element,
+   *   wordRange: !Range,
+   *   lineRange: !Range,
+   *   highlightWordAt:
+   *       function({offsetNode: !Text, offset: number}, boolean, boolean),
+   *   findNextWordChar:
+   *       function(?Text, number): ?{offsetNode: !Text, offset: number},
+   *   findFirstVisibleWordChar:
+   *       function(): ?{offsetNode: !Text, offset: number},
+   *   isLineHighlighted: function(): boolean,
+   *   isVisibleWordChar: function(string): boolean,
+   * }} dependencies The highlighted word and line, and how to move them, as
+   *     the keyboard mode does. Unless `isLineHighlighted()`, the words are
+   *     followed even if the `followWords` option is off.
+   */
+  constructor({
+    root,
+    wordRange,
+    lineRange,
+    highlightWordAt,
+    findNextWordChar,
+    findFirstVisibleWordChar,
+    isLineHighlighted,
+    isVisibleWordChar,
+  }) {
+    this.#root = root;
+    this.#wordRange = wordRange;
+    this.#lineRange = lineRange;
+    this.#highlightWordAt = highlightWordAt;
+    this.#findNextWordChar = findNextWordChar;
+    this.#findFirstVisibleWordChar = findFirstVisibleWordChar;
+    this.#isLineHighlighted = isLineHighlighted;
+    this.#isVisibleWordChar = isVisibleWordChar;
+  }
+
+  /** @return {boolean} */
+  get isEnabled() {
+    return this.#options != null;
+  }
+
+  /** @return {boolean} Whether it's on, paused or not. */
+  get isOn() {
+    return this.#position != null;
+  }
+
+  /**
+   * @param {?{wordsPerMinute: number, followWords: boolean}} options Null
+   *     disables guided reading.
+   */
+  configure(options) {
+    this.#options = options;
+    if (options == null) this.stop();
+  }
+
+  /**
+   * Starts moving forward from the line (or word) at the given position.
+   *
+   * @param {{offsetNode: !Text, offset: number}} position Should point to a
+   *     word character.
+   */
+  start(position) {
+    if (!this.isEnabled) return;
+    this.isPaused = false;
+    this.#moveTo(position);
+  }
+
+  pause() {
+    clearTimeout(this.#timeout);
+    this.isPaused = this.isOn;
+  }
+
+  togglePause() {
+    if (!this.isOn) return;
+    if (this.isPaused) {
+      // The user may have scrolled away in the meantime, so we take them
+      // back to where they were, unless the page removed that text.
+      const position = this.#isPositionValid() ?
+          this.#position :
+          this.#findFirstVisibleWordChar();
+      if (position == null) {
+        this.stop();
+        return;
+      }
+      this.isPaused = false;
+      this.#moveTo(position);
+    } else {
+      this.pause();
+    }
+  }
+
+  /** Stops it, leaving the highlights where they are. */
+  stop() {
+    clearTimeout(this.#timeout);
+    this.#position = null;
+    this.#end = null;
+    this.isPaused = false;
+  }
+
+  /**
+   * Highlights the current line (or word) again, e.g., after the page
+   * changed its text, unless its text is gone.
+   */
+  refresh() {
+    if (this.#isPositionValid()) this.#highlight(/* scrollIntoView= */ false);
+  }
+
+  /**
+   * @return {boolean} Whether the words are followed, and not just the
+   *     lines. Unless the lines are highlighted, there's nothing else to
+   *     follow.
+   */
+  get #followsWords() {
+    return this.#options.followWords || !this.#isLineHighlighted();
+  }
+
+  /** @return {boolean} Whether the current position is still in the page. */
+  #isPositionValid() {
+    const {offsetNode, offset} = this.#position;
+    return offsetNode.isConnected && offset < offsetNode.data.length;
+  }
+
+  /** @param {boolean} scrollIntoView */
+  #highlight(scrollIntoView) {
+    this.#highlightWordAt(this.#position, scrollIntoView, this.#followsWords);
+
+    // Without a line, e.g., if the word is hyphenated, we move as if the
+    // word was the whole line.
+    const range = this.#followsWords || this.#lineRange.collapsed ?
+        this.#wordRange :
+        this.#lineRange;
+    this.#end = {node: range.endContainer, offset: range.endOffset};
+  }
+
+  /**
+   * Highlights the line (or word) at the given position, and schedules the
+   * move to the next one after the time it takes to read it.
+   *
+   * @param {{offsetNode: !Text, offset: number}} position
+   */
+  #moveTo(position) {
+    clearTimeout(this.#timeout);
+    this.#position = position;
+    this.#highlight(/* scrollIntoView= */ true);
+
+    const wordCount = this.#followsWords || this.#lineRange.collapsed ?
+        1 :
+        Math.max(
+            1,
+            countWords(
+                getRangeText(this.#lineRange, this.#root).text,
+                this.#isVisibleWordChar));
+    this.#timeout = setTimeout(() => {
+      this.#moveForward();
+    }, wordCount * 60000 / this.#options.wordsPerMinute);
+  }
+
+  #moveForward() {
+    // If the page removed the text that we were reading, we start over.
+    const position = this.#end.node.isConnected ?
+        this.#findNextWordChar(this.#end.node, this.#end.offset) :
+        this.#findFirstVisibleWordChar();
+    if (position == null) {
+      // We reached the end of the text.
+      this.stop();
+      return;
+    }
+    this.#moveTo(position);
+  }
+}
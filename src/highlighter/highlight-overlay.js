@@ -0,0 +1,172 @@
+/**
+ * @fileoverview
+ *
+ * The highlight styles that the Highlight API can't draw. See `OVERLAY_STYLES`
+ * in highlights.js.
+ */
+
+import {getRangeText, mergeLineRects} from './ranges.js';
+import {getStyleSheet} from './style-sheet.js';
+
+/**
+ * Draws the highlight styles that the Highlight API can't draw (see
+ * `OVERLAY_STYLES`): a rounded outline around every line of a range, or an
+ * enlarged copy of its text over it. Like the reading ruler, it's drawn on a
+ * fixed overlay that doesn't intercept pointer events, and it follows the
+ * ranges on scroll and resize.
+ *
+ * The boxes live in a shadow tree, so that the page's styles don't reach
+ * them, and so that redrawing them doesn't look like a change to the page.
+ */
+export class HighlightOverlay {
+  #host = HighlightOverlay.#createHost();
+  #shadowRoot = this.#host.attachShadow({mode: 'open'});
+
+  /**
+   * The overlay style of every granularity that has one.
+   *
+   * @type {!Map<string, string>}
+   */
+  #styles = new Map();
+
+  #animationFrameRequest = 0;
+
+  /** @type {!OverlayHost} */
+  #overlayHost;
+
+  /** @type {!Element} */
+  #root;
+
+  /** @type {!Object<string, !Range>} */
+  #highlightRanges;
+
+  /** @type {function(!Range): ?Element} */
+  #getContainingElement;
+
+  #scrollOrResizeHandler = () => {
+    this.#scheduleRender();
+  };
+
+  /**
+   * @param {{
+   *   overlayHost: !OverlayHost,
+   *   root: !Element,
+   *   highlightRanges: !Object<string, !Range>,
+   *   getContainingElement: function(!Range): ?Element,
+   * }} dependencies Where the overlay goes, the root of the highlighter, the
+   *     range of every granularity, and `getContainingElement()` of
+   *     hover-highlighter.js.
+   */
+  constructor({overlayHost, root, highlightRanges, getContainingElement}) {
+    this.#overlayHost = overlayHost;
+    this.#root = root;
+    this.#highlightRanges = highlightRanges;
+    this.#getContainingElement = getContainingElement;
+    this.#shadowRoot.adoptedStyleSheets = [getStyleSheet()];
+  }
+
+  /** @return {!HTMLDivElement} */
+  static #createHost() {
+    const host = document.createElement('div');
+    host.className = 'hover-highlighter_overlay';
+    return host;
+  }
+
+  /**
+   * @param {!Map<string, string>} styles The overlay style of every
+   *     granularity that has one. Empty hides the overlay.
+   */
+  configure(styles) {
+    if (styles.size === 0) {
+      this.destroy();
+      return;
+    }
+    if (this.#styles.size === 0) {
+      this.#overlayHost.attach(this.#host);
+      document.addEventListener(
+          'scroll', this.#scrollOrResizeHandler,
+          {capture: true, passive: true});
+      window.addEventListener('resize', this.#scrollOrResizeHandler);
+    }
+    this.#styles = styles;
+    this.#scheduleRender();
+  }
+
+  /** Draws the boxes again, after the ranges may have changed. */
+  update() {
+    if (this.#styles.size > 0) this.#scheduleRender();
+  }
+
+  /** Hides the overlay and stops listening to scroll and resize events. */
+  destroy() {
+    this.#styles = new Map();
+    this.#overlayHost.detach(this.#host);
+    this.#shadowRoot.replaceChildren();
+    document.removeEventListener(
+        'scroll', this.#scrollOrResizeHandler, {capture: true});
+    window.removeEventListener('resize', this.#scrollOrResizeHandler);
+    cancelAnimationFrame(this.#animationFrameRequest);
+    this.#animationFrameRequest = 0;
+  }
+
+  /** Renders at most once per frame, no matter how many scroll events. */
+  #scheduleRender() {
+    if (this.#animationFrameRequest !== 0) return;
+    this.#animationFrameRequest = requestAnimationFrame(() => {
+      this.#animationFrameRequest = 0;
+      this.#render();
+    });
+  }
+
+  #render() {
+    const boxes = [];
+    for (const [granularity, style] of this.#styles) {
+      const range = this.#highlightRanges[granularity];
+      if (range.collapsed) continue;
+
+      if (style === 'outline') {
+        for (const rect of mergeLineRects(range.getClientRects())) {
+          // Around the text, not on it.
+          boxes.push(this.#createBox(
+              granularity, style,
+              new DOMRect(
+                  rect.x - 2, rect.y - 2, rect.width + 4, rect.height + 4)));
+        }
+      } else {
+        const box = this.#createBox(
+            granularity, style, range.getBoundingClientRect());
+        const element = this.#getContainingElement(range) ?? this.#root;
+        const {fontFamily, fontSize, fontStyle, fontWeight, letterSpacing} =
+            getComputedStyle(element);
+        Object.assign(
+            box.style,
+            {fontFamily, fontSize, fontStyle, fontWeight, letterSpacing});
+        box.textContent = getRangeText(range, this.#root).text;
+        boxes.push(box);
+      }
+    }
+    this.#shadowRoot.replaceChildren(...boxes);
+  }
+
+  /**
+   * @param {string} granularity
+   * @param {string} style
+   * @param {!DOMRect} rect
+   * @return {!HTMLDivElement}
+   */
+  #createBox(granularity, style, rect) {
+    const box = document.createElement('div');
+    box.className = `hover-highlighter_overlay-box ${style}`;
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    box.style.setProperty(
+        '--hover_highlighter-box_color',
+        `var(--hover_highlighter-${granularity}_background_color)`);
+    box.style.setProperty(
+        '--hover_highlighter-box_text_color',
+        `var(--hover_highlighter-${granularity}_text_color)`);
+    return box;
+  }
+}
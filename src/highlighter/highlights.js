@@ -0,0 +1,127 @@
+/**
+ * @fileoverview
+ *
+ * The highlights that the highlighter draws with the CSS Custom Highlight API,
+ * and their keys. All the highlighters of a page share the same highlights,
+ * each one with its own ranges.
+ */
+
+export const CSS_HIGHLIGHT_WORD_KEY = 'hover-highlighter_word';
+export const CSS_HIGHLIGHT_LINE_KEY = 'hover-highlighter_line';
+export const CSS_HIGHLIGHT_SENTENCE_KEY = 'hover-highlighter_sentence';
+/** Followed by the name of the color. See `PIN_COLORS`. */
+export const CSS_HIGHLIGHT_PIN_KEY_PREFIX = 'hover-highlighter_pin_';
+/** Followed by the index in `SYLLABLE_COLORS`. */
+export const CSS_HIGHLIGHT_SYLLABLE_KEY_PREFIX = 'hover-highlighter_syllable_';
+export const CSS_HIGHLIGHT_FIRST_LETTERS_KEY =
+    'hover-highlighter_first_letters';
+export const CSS_HIGHLIGHT_OCCURRENCE_KEY = 'hover-highlighter_occurrence';
+export const CSS_HIGHLIGHT_BRACKET_KEY = 'hover-highlighter_bracket';
+
+/**
+ * The styles that the highlights of the granularities can have, besides the
+ * default 'background', which paints their background and text colors. These
+ * ones are drawn by the Highlight API in the background color of the
+ * granularity. See `getStyledHighlightKey()`.
+ */
+export const HIGHLIGHT_API_STYLES = Object.freeze([
+  'underline',
+  'wavy-underline',
+  'text-shadow',
+]);
+
+/**
+ * The styles that the Highlight API can't draw: a rounded outline around the
+ * range, and an enlarged copy of its text. See `HighlightOverlay`.
+ */
+export const OVERLAY_STYLES = Object.freeze(['outline', 'enlarge']);
+
+/** Every style that the highlights of the granularities can have. */
+export const HIGHLIGHT_STYLES = Object.freeze([
+  'background',
+  ...HIGHLIGHT_API_STYLES,
+  ...OVERLAY_STYLES,
+]);
+
+/**
+ * @param {string} key The key of the highlight of a granularity, e.g.,
+ *     `CSS_HIGHLIGHT_WORD_KEY`.
+ * @param {string} style 'background', or one of `HIGHLIGHT_API_STYLES`.
+ * @return {string} The key of the highlight of the granularity in that style.
+ */
+export function getStyledHighlightKey(key, style) {
+  return style === 'background' ? key : `${key}-${style}`;
+}
+
+/** The colors that pins can have, by name. */
+export const PIN_COLORS = Object.freeze({
+  yellow: '#fff59d',
+  green: '#c5e1a5',
+  blue: '#b3e5fc',
+  pink: '#f8bbd0',
+});
+
+/**
+ * The text colors of the syllables of the highlighted word, which take turns.
+ * Both are dark enough to read on the default word color.
+ */
+export const SYLLABLE_COLORS = Object.freeze([
+  '#0d47a1',  // dark blue
+  '#b71c1c',  // dark red
+]);
+
+/**
+ * The priority of every highlight. The narrower highlights are drawn over the
+ * wider ones, and the pins under all of them.
+ *
+ * @type {!Object<string, number>}
+ */
+const HIGHLIGHT_PRIORITIES = Object.freeze({
+  ...Object.fromEntries(Object.keys(PIN_COLORS).map(
+      (color) => [`${CSS_HIGHLIGHT_PIN_KEY_PREFIX}${color}`, -1])),
+  // Every style of a granularity has the same priority.
+  ...Object.fromEntries([
+    [CSS_HIGHLIGHT_SENTENCE_KEY, 0],
+    [CSS_HIGHLIGHT_LINE_KEY, 1],
+    [CSS_HIGHLIGHT_WORD_KEY, 4],
+  ].flatMap(
+      ([key, priority]) => ['background', ...HIGHLIGHT_API_STYLES].map(
+          (style) => [getStyledHighlightKey(key, style), priority]))),
+  [CSS_HIGHLIGHT_OCCURRENCE_KEY]: 2,
+  [CSS_HIGHLIGHT_BRACKET_KEY]: 4,
+  [CSS_HIGHLIGHT_FIRST_LETTERS_KEY]: 3,
+  ...Object.fromEntries(SYLLABLE_COLORS.map(
+      (color, i) => [`${CSS_HIGHLIGHT_SYLLABLE_KEY_PREFIX}${i}`, 5])),
+});
+
+/**
+ * Adds the given range to the highlight with the given key. All the
+ * highlighters of the page share the same highlights, each one with its own
+ * ranges.
+ *
+ * @param {string} key
+ * @param {!Range} range
+ */
+export function addHighlightRange(key, range) {
+  let highlight = CSS.highlights.get(key);
+  if (highlight == null) {
+    highlight = new Highlight();
+    highlight.priority = HIGHLIGHT_PRIORITIES[key];
+    CSS.highlights.set(key, highlight);
+  }
+  highlight.add(range);
+}
+
+/**
+ * Undoes an `addHighlightRange()` call. The highlight goes away with its last
+ * range.
+ *
+ * @param {string} key
+ * @param {!Range} range
+ */
+export function deleteHighlightRange(key, range) {
+  const highlight = CSS.highlights.get(key);
+  if (highlight == null) return;
+  highlight.delete(range);
+  if (highlight.size === 0) CSS.highlights.delete(key);
+}
@@ -0,0 +1,639 @@
+/**
+ * @fileoverview
+ *
+ * Line detection. The browser doesn't tell us where the visual lines of the
+ * text begin and end, so we find out from the rectangles of its characters:
+ *
+ * 1. Within a text node, the characters are laid out in reading order, so
+ *    the line of a character starts at the first character whose middle lies
+ *    below the top of that character, and ends right before the first one
+ *    whose middle lies below its bottom. We find both with a binary search.
+ *    See `LineDetector`, and see "Writing modes" below for text that isn't
+ *    horizontal.
+ * 2. The line under the cursor may span several text nodes. If the line
+ *    reaches the start (end) of its text node, we look at the last (first)
+ *    line of the previous (next) text node, and we add it if it lies in the
+ *    same line, without crossing any layout boundary. See `CachedLineRange`
+ *    and "Layout boundaries" in `LineDetector`.
+ *
+ * Since layout is costly, we cache the lines found in every text node until
+ * the layout of the page may have changed.
+ */
+
+import {
+  getFlatTreeParent,
+  getNextTextNodeInTree,
+  getPreviousTextNodeInTree,
+} from './flat-tree.js';
+import {isWhitespaceOrZeroWidth, rectOccupiesSpace} from './ranges.js';
+
+// Writing modes. In vertical writing modes, e.g., in some Japanese or
+// Mongolian text, the lines are vertical, and they follow each other from
+// right to left (`vertical-rl`) or from left to right (`vertical-lr`). So
+// instead of the y coordinate, the line detection uses positions along the
+// block axis, i.e., the axis along which the lines follow each other. The
+// positions grow in the direction of the lines, so that a later line always
+// has larger positions.
+//
+// Along the inline axis, the text of a line may go in both directions, e.g.,
+// a Hebrew quote in an English line is laid out in separate bidi runs, so we
+// never rely on the order of the characters along that axis.
+
+/**
+ * The block axis of some lines. `getSpan` returns the extent of a rectangle
+ * along the axis, and `getPosition` returns the position of the point (x, y)
+ * along it.
+ *
+ * @typedef {{
+ *   getSpan: function(!DOMRect): {start: number, end: number},
+ *   getPosition: function(number, number): number,
+ * }} BlockAxis
+ */
+
+/** @type {!BlockAxis} */
+const HORIZONTAL_BLOCK_AXIS = {
+  getSpan: (rect) => ({start: rect.top, end: rect.bottom}),
+  getPosition: (x, y) => y,
+};
+
+/** @type {!BlockAxis} */
+const VERTICAL_RL_BLOCK_AXIS = {
+  getSpan: (rect) => ({start: -rect.right, end: -rect.left}),
+  getPosition: (x, y) => -x,
+};
+
+/** @type {!BlockAxis} */
+const VERTICAL_LR_BLOCK_AXIS = {
+  getSpan: (rect) => ({start: rect.left, end: rect.right}),
+  getPosition: (x, y) => x,
+};
+
+/**
+ * Computed `display` values of the elements whose content is laid out in the
+ * lines of their parent.
+ */
+const INLINE_DISPLAY_REGEX = /^(inline|contents|ruby)/;
+
+/**
+ * Returns a function that tells the index, in reading order, of the column
+ * box of the given multi-column container where a horizontal position lies.
+ *
+ * @param {!Element} multiColumnContainer
+ * @return {function(number): number}
+ */
+function getColumnLayout(multiColumnContainer) {
+  const style = getComputedStyle(multiColumnContainer);
+  const paddingLeft = parseFloat(style.paddingLeft);
+  const left = multiColumnContainer.getBoundingClientRect().left +
+      multiColumnContainer.clientLeft + paddingLeft;
+  const width = multiColumnContainer.clientWidth - paddingLeft -
+      parseFloat(style.paddingRight);
+  const gap = style.columnGap === 'normal' ?
+      parseFloat(style.fontSize) :
+      parseFloat(style.columnGap);
+
+  let count = style.columnCount === 'auto' ? Infinity :
+                                             Number(style.columnCount);
+  if (style.columnWidth !== 'auto') {
+    count = Math.min(
+        count,
+        Math.max(
+            1,
+            Math.floor((width + gap) / (parseFloat(style.columnWidth) + gap))));
+  }
+  const columnWidth = (width - (count - 1) * gap) / count;
+
+  return (x) => {
+    const index = Math.floor((x - left) / (columnWidth + gap));
+    return style.direction === 'rtl' ? count - 1 - index : index;
+  };
+}
+
+/**
+ * Returns the offset of the first (direction 1) or last (direction -1)
+ * non-whitespace character of the given text node, starting at `from`.
+ * Returns -1 if there is none.
+ *
+ * @param {!Text} node
+ * @param {number} from
+ * @param {number} direction
+ * @return {number}
+ */
+function findNonWhitespace(node, from, direction) {
+  for (let offset = from; 0 <= offset && offset < node.data.length;
+       offset += direction) {
+    if (!isWhitespaceOrZeroWidth(node.data[offset])) return offset;
+  }
+  return -1;
+}
+
+/**
+ * The range that contains the line currently highlighted. It keeps track of
+ * the extent of the line along the block axis (see `getBlockAxis()`) as it
+ * grows.
+ */
+export class CachedLineRange extends Range {
+  #lineStart = 0;
+  #lineEnd = 0;
+  #minLineSize = 0;
+
+  /** @type {?Element} See `getLineContainer()`. */
+  #lineContainer = null;
+
+  /** @type {!BlockAxis} */
+  #blockAxis = HORIZONTAL_BLOCK_AXIS;
+
+  /** See `getColumnIndex()`. */
+  #columnIndex = 0;
+
+  /** @type {!LineDetector} */
+  #lineDetector;
+
+  /** A scratch range to measure the part of a text node in one line. */
+  #fragmentRange = document.createRange();
+
+  /** @param {!LineDetector} lineDetector Finds the lines of the range. */
+  constructor(lineDetector) {
+    super();
+    this.#lineDetector = lineDetector;
+  }
+
+  /**
+   * Starts a new line at the given line of the given text node.
+   *
+   * @param {!Text} node
+   * @param {{start: number, end: number}} line See `LineDetector`.
+   * @param {!DOMRect} rect The rectangle of a character of the line.
+   */
+  setLine(node, line, rect) {
+    this.setStart(node, line.start);
+    this.setEnd(node, line.end);
+    this.#blockAxis = this.#lineDetector.getBlockAxis(node);
+    const span = this.#blockAxis.getSpan(rect);
+    this.#lineStart = span.start;
+    this.#lineEnd = span.end;
+    this.#minLineSize = span.end - span.start;
+    this.#lineContainer = this.#lineDetector.getLineContainer(node);
+    this.#columnIndex = this.#lineDetector.getColumnIndex(node, rect);
+  }
+
+  /**
+   * Expands the range to the start of the given line of the given text node,
+   * which should come before the range, unless that makes the range span
+   * more than one line.
+   *
+   * This function is symmetrical to `tryToExpandEnd()`.
+   *
+   * @param {!Text} node
+   * @param {{start: number, end: number}} line See `LineDetector`.
+   * @return {boolean} Whether the range was expanded.
+   */
+  tryToExpandStart(node, line) {
+    if (!this.#isInSameLine(node, line)) return false;
+    this.setStart(node, line.start);
+    return true;
+  }
+
+  /**
+   * Expands the range to the end of the given line of the given text node,
+   * which should come after the range, unless that makes the range span more
+   * than one line.
+   *
+   * This function is symmetrical to `tryToExpandStart()`.
+   *
+   * @param {!Text} node
+   * @param {{start: number, end: number}} line See `LineDetector`.
+   * @return {boolean} Whether the range was expanded.
+   */
+  tryToExpandEnd(node, line) {
+    if (!this.#isInSameLine(node, line)) return false;
+    this.setEnd(node, line.end);
+    return true;
+  }
+
+  /**
+   * Returns whether the given line of the given text node lies in the same
+   * line as the range. If so, the extent of the range's line is updated to
+   * include it.
+   *
+   * Text of different sizes (e.g., superscripts) doesn't have the same top
+   * and bottom (in horizontal text), so we only require that the rectangles
+   * overlap enough along the block axis.
+   *
+   * @param {!Text} node
+   * @param {{start: number, end: number}} line
+   * @return {boolean}
+   */
+  #isInSameLine(node, line) {
+    // A range can't span nodes from different trees (e.g., the document and
+    // a shadow tree); it would collapse. So the line ends at the boundary of
+    // the tree.
+    if (node.getRootNode() !== this.startContainer.getRootNode()) {
+      return false;
+    }
+
+    if (this.#lineDetector.getLineContainer(node) !== this.#lineContainer) {
+      return false;
+    }
+
+    this.#fragmentRange.setStart(node, line.start);
+    this.#fragmentRange.setEnd(node, line.end);
+    const rect = this.#fragmentRange.getBoundingClientRect();
+    if (!rectOccupiesSpace(rect) ||
+        this.#lineDetector.getColumnIndex(node, rect) !== this.#columnIndex) {
+      return false;
+    }
+
+    const span = this.#blockAxis.getSpan(rect);
+    const minSize = Math.min(this.#minLineSize, span.end - span.start);
+    const newStart = Math.min(this.#lineStart, span.start);
+    const newEnd = Math.max(this.#lineEnd, span.end);
+    const interceptSize = Math.min(this.#lineEnd, span.end) -
+        Math.max(this.#lineStart, span.start);
+
+    const newSize = newEnd - newStart;
+    const isSameLine =
+        1.75 * minSize > newSize && 1.75 * interceptSize > newSize;
+    if (isSameLine) {
+      this.#lineStart = newStart;
+      this.#lineEnd = newEnd;
+      this.#minLineSize = minSize;
+    }
+    return isSameLine;
+  }
+}
+
+/**
+ * Finds the lines of the text inside the root of a highlighter, and caches
+ * them until the layout of the page may have changed. See `reset()`.
+ */
+export class LineDetector {
+  /** @type {!Node} */
+  #root;
+
+  /** A scratch range to measure single characters. */
+  #singleCharRange = document.createRange();
+
+  /**
+   * The lines found so far in every text node. See `#getTextNodeLine()`.
+   *
+   * @type {!WeakMap<!Text, !Array<{start: number, end: number}>>}
+   */
+  #textNodeLinesCache = new WeakMap();
+
+  /**
+   * The line container of every text node, and the multi-column container of
+   * every line container, found so far. Reset along with the lines of the text
+   * nodes.
+   *
+   * @type {!WeakMap<!Node, ?Element>}
+   */
+  #layoutContainersCache = new WeakMap();
+
+  /** @param {!Node} root The root of the highlighter. Lines don't leave it. */
+  constructor(root) {
+    this.#root = root;
+  }
+
+  /**
+   * Sets the given range to the line at the caret position. The line may span
+   * multiple nodes from different parents. The range is left as it was if
+   * there's no line there.
+   *
+   * @param {!CachedLineRange} lineRange
+   * @param {!CaretPosition} caretPosition Its node must be a text node.
+   * @param {number} mouseX The x coordinate of the cursor.
+   * @param {number} mouseY The y coordinate of the cursor.
+   */
+  findLine(lineRange, caretPosition, mouseX, mouseY) {
+    // See the big comment inside `setHighlightWordRange` in
+    // hover-highlighter.js to understand in which situations can offset >=
+    // length.
+    const caretNode = caretPosition.offsetNode;
+    const caretOffset =
+        Math.min(caretPosition.offset, caretNode.data.length - 1);
+
+    // Whitespace may not have a position of its own, so we find the line of
+    // the closest visible character instead.
+    let offset = findNonWhitespace(caretNode, caretOffset, -1);
+    if (offset === -1) offset = findNonWhitespace(caretNode, caretOffset, 1);
+    if (offset === -1) return;
+
+    // Optimization: if right from the get-go we see that we're outside the
+    // block axis of the line rectangle (the y-axis in horizontal text), then
+    // don't highlight the line. Notes:
+    // - The same check for the inline axis is not very precise, hence we skip
+    //   it.
+    // - We don't do this for the word, because words are usually short enough
+    //   that the optimization is not worth it.
+    const charRect = this.#getCharRect(caretNode, offset);
+    if (charRect == null) return;
+    const blockAxis = this.getBlockAxis(caretNode);
+    const charSpan = blockAxis.getSpan(charRect);
+    const mousePosition = blockAxis.getPosition(mouseX, mouseY);
+    if (mousePosition < charSpan.start || charSpan.end < mousePosition) return;
+
+    lineRange.setLine(
+        caretNode, this.#getTextNodeLine(caretNode, offset), charRect);
+    this.#expandStart(lineRange);
+    this.#expandEnd(lineRange);
+
+    // The line doesn't include its leading and trailing whitespace. If the
+    // caret is pointing to it, then this doesn't count as valid highlighting.
+    const {startContainer, endContainer} = lineRange;
+    lineRange.setStart(
+        startContainer,
+        findNonWhitespace(startContainer, lineRange.startOffset, 1));
+    lineRange.setEnd(
+        endContainer,
+        findNonWhitespace(endContainer, lineRange.endOffset - 1, -1) + 1);
+    if (startContainer === caretNode &&
+            caretOffset < lineRange.startOffset ||
+        endContainer === caretNode && caretOffset >= lineRange.endOffset) {
+      lineRange.collapse(false);
+    }
+  }
+
+  /**
+   * Forgets the lines found so far in the given text node, e.g., because its
+   * text changed.
+   *
+   * @param {!Text} node
+   */
+  forgetTextNode(node) {
+    this.#textNodeLinesCache.delete(node);
+  }
+
+  /**
+   * Forgets the lines found so far in all the text nodes. Called whenever the
+   * layout of the page may have changed.
+   */
+  reset() {
+    this.#textNodeLinesCache = new WeakMap();
+    this.#layoutContainersCache = new WeakMap();
+  }
+
+  // Layout boundaries. A line never leaves the element that lays out its line
+  // boxes, e.g., its paragraph or table cell (see `getLineContainer()`), nor
+  // the column box of a multi-column container where it lies (see
+  // `getColumnIndex()`), even if the text next to it happens to lie at the
+  // same height.
+
+  /**
+   * Returns the element that lays out the line boxes where the given node
+   * lies: its closest ancestor that isn't inline-level. That's a paragraph or
+   * any other block container, a table cell, a flex or grid item or a float
+   * (the last ones are always block-level), but not an inline block, which
+   * lies in the lines of its parent.
+   *
+   * @param {!Node} node
+   * @return {?Element}
+   */
+  getLineContainer(node) {
+    if (this.#layoutContainersCache.has(node)) {
+      return this.#layoutContainersCache.get(node);
+    }
+
+    let container = getFlatTreeParent(node);
+    while (container instanceof Element &&
+           INLINE_DISPLAY_REGEX.test(getComputedStyle(container).display)) {
+      container = getFlatTreeParent(container);
+    }
+    if (!(container instanceof Element)) container = null;
+    this.#layoutContainersCache.set(node, container);
+    return container;
+  }
+
+  /**
+   * @param {!Node} node
+   * @param {!DOMRect} rect The rectangle of some text of the given node.
+   * @return {number} The index of the column box where the rectangle lies, or
+   *     0 if the node doesn't lie in a horizontal multi-column container.
+   */
+  getColumnIndex(node, rect) {
+    const container =
+        this.#getMultiColumnContainer(this.getLineContainer(node));
+    // The column boxes of vertical text follow each other vertically, which we
+    // don't support.
+    if (container == null ||
+        getComputedStyle(container).writingMode !== 'horizontal-tb') {
+      return 0;
+    }
+    return getColumnLayout(container)((rect.left + rect.right) / 2);
+  }
+
+  /**
+   * @param {!Node} node
+   * @return {!BlockAxis} The block axis of the lines where the given node lies.
+   */
+  getBlockAxis(node) {
+    const container = this.getLineContainer(node);
+    if (container == null) return HORIZONTAL_BLOCK_AXIS;
+
+    // Also covers `sideways-rl` and `sideways-lr`.
+    const {writingMode} = getComputedStyle(container);
+    if (writingMode.endsWith('-rl')) return VERTICAL_RL_BLOCK_AXIS;
+    if (writingMode.endsWith('-lr')) return VERTICAL_LR_BLOCK_AXIS;
+    return HORIZONTAL_BLOCK_AXIS;
+  }
+
+  /**
+   * @param {?Element} lineContainer
+   * @return {?Element} The closest multi-column container of the given line
+   *     container, including itself.
+   */
+  #getMultiColumnContainer(lineContainer) {
+    if (lineContainer == null) return null;
+    // Text nodes aren't line containers, so the keys don't clash.
+    if (this.#layoutContainersCache.has(lineContainer)) {
+      return this.#layoutContainersCache.get(lineContainer);
+    }
+
+    let container = lineContainer;
+    while (container instanceof Element) {
+      const style = getComputedStyle(container);
+      if (style.columnCount !== 'auto' || style.columnWidth !== 'auto') break;
+      container = getFlatTreeParent(container);
+    }
+    if (!(container instanceof Element)) container = null;
+    this.#layoutContainersCache.set(lineContainer, container);
+    return container;
+  }
+
+  /**
+   * Returns the rectangle of the character at the given offset, or null if it
+   * doesn't occupy space, e.g., because it's collapsed whitespace.
+   *
+   * @param {!Text} node
+   * @param {number} offset
+   * @return {?DOMRect}
+   */
+  #getCharRect(node, offset) {
+    this.#singleCharRange.setStart(node, offset);
+    this.#singleCharRange.setEnd(node, offset + 1);
+    // The character that comes after a hyphenation point also reports the
+    // hyphen at the end of the previous line, so we keep the last rectangle.
+    const rects = this.#singleCharRange.getClientRects();
+    for (let i = rects.length - 1; i >= 0; i--) {
+      if (rectOccupiesSpace(rects[i])) return rects[i];
+    }
+    return null;
+  }
+
+  /**
+   * Returns the offset of the first character in [from, to) of the given text
+   * node that is visible, i.e., that isn't whitespace and occupies space, along
+   * with its rectangle. Returns null if there is no such character.
+   *
+   * @param {!Text} node
+   * @param {number} from
+   * @param {number} to
+   * @return {?{offset: number, rect: !DOMRect}}
+   */
+  #findVisibleChar(node, from, to) {
+    for (let offset = from; offset < to; offset++) {
+      if (isWhitespaceOrZeroWidth(node.data[offset])) continue;
+      const rect = this.#getCharRect(node, offset);
+      if (rect != null) return {offset, rect};
+    }
+    return null;
+  }
+
+  /**
+   * Returns the first offset in [from, to) of the given text node whose
+   * character satisfies `isAfter`. Returns `to` if there is no such character.
+   *
+   * `isAfter` must be false for the characters of a prefix of the text, and
+   * true for the rest, which is the case for positions in reading order.
+   * Whitespace goes with the next visible character, since it may not have a
+   * position of its own.
+   *
+   * @param {!Text} node
+   * @param {number} from
+   * @param {number} to
+   * @param {function(!DOMRect): boolean} isAfter Called with the rectangle of
+   *     a character.
+   * @return {number}
+   */
+  #findFirstCharAfter(node, from, to, isAfter) {
+    let low = from;
+    let high = to;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const visibleChar = this.#findVisibleChar(node, middle, high);
+      if (visibleChar == null) {
+        high = middle;
+      } else if (isAfter(visibleChar.rect)) {
+        high = visibleChar.offset;
+      } else {
+        low = visibleChar.offset + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Returns the offsets of the part of the given text node that lies in the
+   * same line as the character at the given offset. `end` is exclusive.
+   * Returns null if that character doesn't occupy space.
+   *
+   * @param {!Text} node
+   * @param {number} offset Should point to a non-whitespace character.
+   * @return {?{start: number, end: number}}
+   */
+  #getTextNodeLine(node, offset) {
+    const cachedLines = this.#textNodeLinesCache.get(node) ?? [];
+    const cachedLine = cachedLines.find(
+        (line) => line.start <= offset && offset < line.end);
+    if (cachedLine != null) return cachedLine;
+
+    const charRect = this.#getCharRect(node, offset);
+    if (charRect == null) return null;
+
+    // In reading order, a character comes after another one if it lies in a
+    // later column box, or in the same one but in a later line, i.e., further
+    // along the block axis.
+    const blockAxis = this.getBlockAxis(node);
+    const charSpan = blockAxis.getSpan(charRect);
+    const columnIndex = this.getColumnIndex(node, charRect);
+    const isAfter = (position) => (rect) => {
+      const rectColumnIndex = this.getColumnIndex(node, rect);
+      const span = blockAxis.getSpan(rect);
+      return rectColumnIndex > columnIndex ||
+          rectColumnIndex === columnIndex &&
+          (span.start + span.end) / 2 > position;
+    };
+    const line = {
+      start: this.#findFirstCharAfter(node, 0, offset, isAfter(charSpan.start)),
+      end: this.#findFirstCharAfter(
+          node, offset + 1, node.data.length, isAfter(charSpan.end)),
+    };
+    this.#textNodeLinesCache.set(node, [...cachedLines, line]);
+    return line;
+  }
+
+  /**
+   * Expands the start of the given range as much as possible without causing
+   * it to span more than one line.
+   *
+   * Precondition: the range must start and end at the boundaries of the lines
+   * of its text nodes.
+   *
+   * This function is symmetrical to `#expandEnd()`.
+   *
+   * @param {!CachedLineRange} lineRange
+   */
+  #expandStart(lineRange) {
+    let node = lineRange.startContainer;
+
+    // As long as the line starts at the beginning of its first text node, it
+    // may continue in the previous one.
+    while (findNonWhitespace(
+               lineRange.startContainer, lineRange.startOffset - 1, -1) ===
+           -1) {
+      node = getPreviousTextNodeInTree(node, this.#root);
+      if (node == null) return;
+
+      // Text nodes with only whitespace give us no evidence of where the line
+      // is, so we look further.
+      const lastCharOffset = findNonWhitespace(node, node.data.length - 1, -1);
+      if (lastCharOffset === -1) continue;
+
+      const line = this.#getTextNodeLine(node, lastCharOffset);
+      if (line == null) continue;
+      if (!lineRange.tryToExpandStart(node, line)) return;
+    }
+  }
+
+  /**
+   * Expands the end of the given range as much as possible without causing it
+   * to span more than one line.
+   *
+   * Precondition: the range must start and end at the boundaries of the lines
+   * of its text nodes.
+   *
+   * This function is symmetrical to `#expandStart()`.
+   *
+   * @param {!CachedLineRange} lineRange
+   */
+  #expandEnd(lineRange) {
+    let node = lineRange.endContainer;
+
+    // As long as the line ends at the end of its last text node, it may
+    // continue in the next one.
+    while (findNonWhitespace(
+               lineRange.endContainer, lineRange.endOffset, 1) === -1) {
+      node = getNextTextNodeInTree(node, this.#root);
+      if (node == null) return;
+
+      // Text nodes with only whitespace give us no evidence of where the line
+      // is, so we look further.
+      const firstCharOffset = findNonWhitespace(node, 0, 1);
+      if (firstCharOffset === -1) continue;
+
+      const line = this.#getTextNodeLine(node, firstCharOffset);
+      if (line == null) continue;
+      if (!lineRange.tryToExpandEnd(node, line)) return;
+    }
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview
+ *
+ * The magnifier lens, which shows the highlighted line enlarged.
+ */
+
+import {getRangeSegments} from './ranges.js';
+import {getStyleSheet} from './style-sheet.js';
+
+/**
+ * The magnifier lens, for low-vision readers: it shows the text of the
+ * highlighted line enlarged, with the highlighted word emphasized, and with
+ * the bold, italic and underlined parts of the line as they are in the
+ * page. It floats right below the line, or right above it if there's no room
+ * below, next to the pointer, and always inside the viewport.
+ *
+ * Like `HighlightOverlay`, it lives in a shadow tree of its own.
+ */
+export class Magnifier {
+  /** The space between the lens and the line or the viewport edges. */
+  static MARGIN = 8;  // pixels
+
+  #host = Magnifier.#createHost();
+  #shadowRoot = this.#host.attachShadow({mode: 'open'});
+  #lens = document.createElement('div');
+
+  /**
+   * The `magnifier` option. See `HoverHighlighterOptions`. Null means that
+   * the lens is hidden.
+   *
+   * @type {?{zoom: number, font: string}}
+   */
+  #options = null;
+
+  #animationFrameRequest = 0;
+
+  #scrollOrResizeHandler = () => {
+    this.#scheduleRender();
+  };
+
+  /** @type {!OverlayHost} */
+  #overlayHost;
+
+  /** @type {!Element} */
+  #root;
+
+  /** @type {!Range} */
+  #wordRange;
+
+  /** @type {!Range} */
+  #lineRange;
+
+  /** @type {function(!Range): ?Element} */
+  #getContainingElement;
+
+  /** @type {function(): ?{x: number, y: number}} */
+  #getPointer;
+
+  /**
+   * @param {{
+   *   overlayHost: !OverlayHost,
+   *   root: !Element,
+   *   wordRange: !Range,
+   *   lineRange: !Range,
+   *   getContainingElement: function(!Range): ?Element,
+   *   getPointer: function(): ?{x: number, y: number},
+   * }} dependencies Where the lens goes, the root of the highlighter, the
+   *     highlighted word and line, `getContainingElement()` of
+   *     hover-highlighter.js, and a function that returns where the pointer
+   *     is, or null if it's not what moves the highlights.
+   */
+  constructor({
+    overlayHost,
+    root,
+    wordRange,
+    lineRange,
+    getContainingElement,
+    getPointer,
+  }) {
+    this.#overlayHost = overlayHost;
+    this.#root = root;
+    this.#wordRange = wordRange;
+    this.#lineRange = lineRange;
+    this.#getContainingElement = getContainingElement;
+    this.#getPointer = getPointer;
+    this.#shadowRoot.adoptedStyleSheets = [getStyleSheet()];
+    this.#lens.className = 'hover-highlighter_magnifier-lens';
+  }
+
+  /** @return {!HTMLDivElement} */
+  static #createHost() {
+    const host = document.createElement('div');
+    host.className = 'hover-highlighter_magnifier';
+    return host;
+  }
+
+  /** @return {boolean} */
+  get isEnabled() {
+    return this.#options != null;
+  }
+
+  /**
+   * @param {?{zoom: number, font: string}} options Null hides the lens.
+   */
+  configure(options) {
+    if (options == null) {
+      this.destroy();
+      return;
+    }
+    if (!this.isEnabled) {
+      this.#overlayHost.attach(this.#host);
+      document.addEventListener(
+          'scroll', this.#scrollOrResizeHandler,
+          {capture: true, passive: true});
+      window.addEventListener('resize', this.#scrollOrResizeHandler);
+    }
+    this.#options = options;
+    this.#scheduleRender();
+  }
+
+  /** Shows the lens again, after the word or line may have changed. */
+  update() {
+    if (this.isEnabled) this.#scheduleRender();
+  }
+
+  /** Hides the lens and stops listening to scroll and resize events. */
+  destroy() {
+    this.#options = null;
+    this.#overlayHost.detach(this.#host);
+    this.#shadowRoot.replaceChildren();
+    document.removeEventListener(
+        'scroll', this.#scrollOrResizeHandler, {capture: true});
+    window.removeEventListener('resize', this.#scrollOrResizeHandler);
+    cancelAnimationFrame(this.#animationFrameRequest);
+    this.#animationFrameRequest = 0;
+  }
+
+  /** Renders at most once per frame, no matter how many scroll events. */
+  #scheduleRender() {
+    if (this.#animationFrameRequest !== 0) return;
+    this.#animationFrameRequest = requestAnimationFrame(() => {
+      this.#animationFrameRequest = 0;
+      this.#render();
+    });
+  }
+
+  #render() {
+    if (!this.isEnabled) return;
+    if (this.#lineRange.collapsed) {
+      this.#shadowRoot.replaceChildren();
+      return;
+    }
+
+    const element = this.#getContainingElement(this.#lineRange) ?? this.#root;
+    const {fontFamily, fontSize} = getComputedStyle(element);
+    this.#lens.style.fontFamily = this.#options.font || fontFamily;
+    this.#lens.style.fontSize =
+        `${parseFloat(fontSize) * this.#options.zoom}px`;
+    this.#lens.replaceChildren(
+        ...getRangeSegments(this.#lineRange, this.#root).flatMap(
+            (segment) => this.#renderSegment(segment)));
+    this.#shadowRoot.replaceChildren(this.#lens);
+    this.#place();
+  }
+
+  /**
+   * Returns the elements that show the given part of a text node in the
+   * lens, with the formatting of the node. The highlighted word gets an
+   * element of its own.
+   *
+   * @param {{node: !Text, startOffset: number, endOffset: number}} segment
+   * @return {!Array<!HTMLSpanElement>}
+   */
+  #renderSegment({node, startOffset, endOffset}) {
+    // The part of the segment inside the highlighted word, if any.
+    let wordStart = endOffset;
+    let wordEnd = endOffset;
+    if (!this.#wordRange.collapsed && this.#wordRange.intersectsNode(node)) {
+      wordStart = Math.max(
+          startOffset,
+          node === this.#wordRange.startContainer ?
+              this.#wordRange.startOffset :
+              0);
+      wordEnd = Math.min(
+          endOffset,
+          node === this.#wordRange.endContainer ? this.#wordRange.endOffset :
+                                                  node.data.length);
+    }
+
+    const {fontStyle, fontWeight, textDecorationLine} =
+        getComputedStyle(node.parentElement ?? this.#root);
+    const parts = [
+      [startOffset, wordStart, ''],
+      [wordStart, wordEnd, 'hover-highlighter_magnifier-word'],
+      [wordEnd, endOffset, ''],
+    ];
+    return parts.filter(([start, end]) => start < end)
+        .map(([start, end, className]) => {
+          const span = document.createElement('span');
+          span.className = className;
+          Object.assign(
+              span.style, {fontStyle, fontWeight, textDecorationLine});
+          span.textContent = node.data.slice(start, end);
+          return span;
+        });
+  }
+
+  /**
+   * Moves the lens next to the pointer (or to the word, when the pointer is
+   * not what moves the highlights), right below the line if it fits there,
+   * or else right above it, inside the viewport.
+   */
+  #place() {
+    const margin = Magnifier.MARGIN;
+    const lineRect = this.#lineRange.getBoundingClientRect();
+    const wordRect = this.#wordRange.collapsed ?
+        lineRect :
+        this.#wordRange.getBoundingClientRect();
+    const pointer = this.#getPointer();
+    const x =
+        pointer != null ? pointer.x : (wordRect.left + wordRect.right) / 2;
+    const width = this.#lens.offsetWidth;
+    const height = this.#lens.offsetHeight;
+
+    const left = Math.min(
+        Math.max(x - width / 2, margin),
+        window.innerWidth - width - margin);
+
+    const spaceBelow = window.innerHeight - lineRect.bottom - margin;
+    const spaceAbove = lineRect.top - margin;
+    let top;
+    if (height + margin <= spaceBelow) {
+      top = lineRect.bottom + margin;
+    } else if (height + margin <= spaceAbove) {
+      top = lineRect.top - margin - height;
+    } else {
+      // It doesn't fit on either side, so it covers the line partly.
+      top = spaceBelow >= spaceAbove ? window.innerHeight - margin - height :
+                                       margin;
+    }
+    top = Math.max(
+        Math.min(top, window.innerHeight - height - margin), margin);
+
+    this.#lens.style.left = `${Math.max(left, margin)}px`;
+    this.#lens.style.top = `${top}px`;
+  }
+}
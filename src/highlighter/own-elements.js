@@ -0,0 +1,66 @@
+/**
+ * @fileoverview
+ *
+ * The elements that the highlighter adds to the page. Their classes start with
+ * `hover-highlighter_`, which tells them apart from the elements of the page.
+ */
+
+/**
+ * @param {!Node} node
+ * @return {boolean} Whether the node is one of the elements that we add to
+ *     the page, or lies inside one of them.
+ */
+export function isOwnNode(node) {
+  const root = node.getRootNode();
+  const element = root instanceof ShadowRoot ? root.host : node;
+  return element instanceof HTMLElement &&
+      element.className.startsWith('hover-highlighter_');
+}
+
+/**
+ * The element that holds the fixed overlays of a highlighter over the page:
+ * the reading ruler, the highlight overlay and the magnifier. Like the mirror
+ * of text fields, it goes at the end of the document rather than in the root
+ * of the highlighter, so that it doesn't change the content of the page, and
+ * so that the transforms of the ancestors of the root don't move it. It gets
+ * the same CSS custom properties as the root; see `updateProperty()` in
+ * hover-highlighter.js.
+ */
+export class OverlayHost {
+  #element = OverlayHost.#createElement();
+
+  /** @return {!HTMLDivElement} */
+  static #createElement() {
+    const element = document.createElement('div');
+    element.className = 'hover-highlighter_overlays';
+    return element;
+  }
+
+  /** @return {!HTMLDivElement} */
+  get element() {
+    return this.#element;
+  }
+
+  /**
+   * Shows the given overlays over the page.
+   *
+   * @param {...!HTMLElement} elements
+   */
+  attach(...elements) {
+    this.#element.append(...elements);
+    if (!this.#element.isConnected) {
+      document.documentElement.append(this.#element);
+    }
+  }
+
+  /**
+   * Undoes an `attach()` call. The host leaves the page with its last
+   * overlay.
+   *
+   * @param {...!HTMLElement} elements
+   */
+  detach(...elements) {
+    for (const element of elements) element.remove();
+    if (!this.#element.hasChildNodes()) this.#element.remove();
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview
+ *
+ * The pins of a page. See "Pins" in hover-highlighter.js.
+ */
+
+import {
+  addHighlightRange,
+  CSS_HIGHLIGHT_PIN_KEY_PREFIX,
+  deleteHighlightRange,
+  PIN_COLORS,
+} from './highlights.js';
+import {isOwnNode} from './own-elements.js';
+import {isSameRange, scrollIntoViewIfNeeded} from './ranges.js';
+
+/** How many characters around the text of a pin tell it apart. */
+const PIN_QUOTE_CONTEXT_LENGTH = 32;
+
+/**
+ * While some pins weren't found, we look for them again this long after the
+ * page changes, in case their text was added late.
+ */
+const PIN_ANCHORING_DELAY = 500;  // milliseconds
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number} How many characters at the end of `a` and `b` are equal.
+ */
+function getCommonSuffixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length &&
+         a[a.length - 1 - length] === b[b.length - 1 - length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number} How many characters at the start of `a` and `b` are
+ *     equal.
+ */
+function getCommonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Returns the index in `text` of the occurrence of the pin's text whose
+ * surroundings look the most like the pin's prefix and suffix, or -1 if the
+ * pin's text is not there at all.
+ *
+ * @param {string} text
+ * @param {!Pin} pin
+ * @return {number}
+ */
+function findPinQuote(text, {exact, prefix, suffix}) {
+  if (exact === '') return -1;
+
+  let bestIndex = -1;
+  let bestScore = -1;
+  for (let index = text.indexOf(exact); index !== -1;
+       index = text.indexOf(exact, index + 1)) {
+    const end = index + exact.length;
+    const score =
+        getCommonSuffixLength(
+            text.slice(Math.max(0, index - prefix.length), index), prefix) +
+        getCommonPrefixLength(text.slice(end, end + suffix.length), suffix);
+    if (score > bestScore) {
+      bestIndex = index;
+      bestScore = score;
+    }
+  }
+  return bestIndex;
+}
+
+/**
+ * @return {string} A new identifier for a pin. `crypto.randomUUID()` is not
+ *     available in insecure pages.
+ */
+function createPinId() {
+  return `${Date.now().toString(36)}-${
+      Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** The pins of the page, and their highlights. */
+export class PinLayer {
+  /** @type {!Array<!Pin>} */
+  #pins = [];
+
+  /**
+   * The ranges where the pins were found in the page, by pin id.
+   *
+   * @type {!Map<string, !Range>}
+   */
+  #ranges = new Map();
+
+  /**
+   * The ranges that we added to the highlights, with the key of their
+   * highlight.
+   *
+   * @type {!Map<!Range, string>}
+   */
+  #drawnRanges = new Map();
+
+  /** The color of the new pins. */
+  #color = 'yellow';
+
+  #anchoringTimeout = 0;
+
+  /**
+   * @type {function(): {
+   *   text: string,
+   *   toIndex: function(!Node, number): number,
+   *   toPosition: function(number): {offsetNode: !Text, offset: number},
+   * }}
+   */
+  #getRootText;
+
+  /** @type {function(string, ?Object=)} */
+  #dispatchHighlighterEvent;
+
+  /** Whether pinning is on. Changed through `configure()`. */
+  isEnabled = false;
+
+  /**
+   * @param {{
+   *   getRootText: function(): {
+   *     text: string,
+   *     toIndex: function(!Node, number): number,
+   *     toPosition: function(number): {offsetNode: !Text, offset: number},
+   *   },
+   *   dispatchHighlighterEvent: function(string, ?Object=),
+   * }} dependencies `getRootText()` maps the pins to the text of the page,
+   *     and back. `dispatchHighlighterEvent()` reports the `pinschange`
+   *     events.
+   */
+  constructor({getRootText, dispatchHighlighterEvent}) {
+    this.#getRootText = getRootText;
+    this.#dispatchHighlighterEvent = dispatchHighlighterEvent;
+  }
+
+  /**
+   * Turns pinning on or off according to the `pins` option. See
+   * `HoverHighlighterOptions`.
+   *
+   * @param {?{color: string}} options Null turns pinning off, and hides the
+   *     pins.
+   */
+  configure(options) {
+    this.isEnabled = options != null;
+    if (options != null) {
+      this.#color = Object.hasOwn(PIN_COLORS, options.color) ? options.color :
+                                                               'yellow';
+    }
+    this.#anchor();
+  }
+
+  /** @return {!Array<!Pin>} A copy of the pins. */
+  get pins() {
+    return this.#pins.map((pin) => ({...pin}));
+  }
+
+  /**
+   * Replaces all the pins, and looks for them in the page.
+   *
+   * @param {!Array<!Pin>} pins
+   */
+  setPins(pins) {
+    this.#pins = pins.map((pin) => ({...pin}));
+    this.#ranges.clear();
+    this.#anchor();
+  }
+
+  /**
+   * Pins the text of the given range, or unpins it if it was pinned already.
+   * Dispatches a `pinschange` event either way.
+   *
+   * @param {!Range} range
+   * @param {string} granularity 'word' or 'line'.
+   */
+  toggle(range, granularity) {
+    // The text of form fields only lives in our mirror of it, and it would
+    // hardly be the same in the next load anyway.
+    if (!this.isEnabled || range.collapsed ||
+        isOwnNode(range.startContainer)) {
+      return;
+    }
+
+    const pinnedId = [...this.#ranges.keys()].find(
+        (id) => isSameRange(range, this.#ranges.get(id)));
+    if (pinnedId != null) {
+      this.#pins = this.#pins.filter((pin) => pin.id !== pinnedId);
+      this.#ranges.delete(pinnedId);
+    } else {
+      const {text, toIndex} = this.#getRootText();
+      const start = toIndex(range.startContainer, range.startOffset);
+      const end = toIndex(range.endContainer, range.endOffset);
+      if (start === -1 || end === -1) return;
+
+      const pin = {
+        id: createPinId(),
+        granularity,
+        color: this.#color,
+        exact: text.slice(start, end),
+        prefix: text.slice(
+            Math.max(0, start - PIN_QUOTE_CONTEXT_LENGTH), start),
+        suffix: text.slice(end, end + PIN_QUOTE_CONTEXT_LENGTH),
+        createdAt: Date.now(),
+      };
+      this.#pins.push(pin);
+      this.#ranges.set(pin.id, range.cloneRange());
+    }
+
+    this.#draw();
+    this.#dispatchHighlighterEvent('pinschange', {pins: this.pins});
+  }
+
+  /**
+   * Scrolls the page to the pin with the given id.
+   *
+   * @param {string} id
+   * @return {boolean} Whether the pin was found in the page.
+   */
+  scrollTo(id) {
+    const range = this.#ranges.get(id);
+    if (range == null || range.collapsed) return false;
+    scrollIntoViewIfNeeded(range);
+    return true;
+  }
+
+  /**
+   * Looks for the missing pins again a bit later, if there are any. Called
+   * every time the page changes.
+   */
+  scheduleAnchoring() {
+    if (this.#anchoringTimeout !== 0 || !this.#hasMissingPins()) return;
+    this.#anchoringTimeout = setTimeout(() => {
+      this.#anchoringTimeout = 0;
+      this.#anchor();
+    }, PIN_ANCHORING_DELAY);
+  }
+
+  /** Hides the pins, and stops looking for the missing ones. */
+  destroy() {
+    this.isEnabled = false;
+    clearTimeout(this.#anchoringTimeout);
+    this.#anchoringTimeout = 0;
+    this.#draw();
+  }
+
+  /**
+   * @return {boolean} Whether some pins are not in the page, or not anymore,
+   *     e.g., because the page removed their text.
+   */
+  #hasMissingPins() {
+    return this.#pins.some(
+        (pin) => this.#ranges.get(pin.id)?.collapsed ?? true);
+  }
+
+  /** Looks for the missing pins in the page, if pinning is on. */
+  #anchor() {
+    if (this.isEnabled && this.#hasMissingPins()) {
+      const {text, toPosition} = this.#getRootText();
+      for (const pin of this.#pins) {
+        if (!(this.#ranges.get(pin.id)?.collapsed ?? true)) continue;
+
+        const index = findPinQuote(text, pin);
+        if (index === -1) continue;
+        const start = toPosition(index);
+        // Right after the last character, even if it ends its text node.
+        const end = toPosition(index + pin.exact.length - 1);
+        const range = document.createRange();
+        range.setStart(start.offsetNode, start.offset);
+        range.setEnd(end.offsetNode, end.offset + 1);
+        this.#ranges.set(pin.id, range);
+      }
+    }
+    this.#draw();
+  }
+
+  /** Adds the ranges of the pins to the highlights of their colors. */
+  #draw() {
+    for (const [range, key] of this.#drawnRanges) {
+      deleteHighlightRange(key, range);
+    }
+    this.#drawnRanges.clear();
+    if (!this.isEnabled) return;
+
+    for (const pin of this.#pins) {
+      const range = this.#ranges.get(pin.id);
+      if (range == null) continue;
+      const color =
+          Object.hasOwn(PIN_COLORS, pin.color) ? pin.color : 'yellow';
+      const key = `${CSS_HIGHLIGHT_PIN_KEY_PREFIX}${color}`;
+      addHighlightRange(key, range);
+      this.#drawnRanges.set(range, key);
+    }
+  }
+}
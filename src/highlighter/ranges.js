@@ -0,0 +1,186 @@
+/**
+ * @fileoverview
+ *
+ * Helpers for the ranges of text that the highlighter finds, and for the
+ * rectangles where they are laid out.
+ */
+
+import {getNextTextNodeInTree} from './flat-tree.js';
+
+/**
+ * @param {string} ch A string of length 1.
+ * @return {boolean}
+ */
+export function isWhitespaceOrZeroWidth(ch) {
+  return /\s|\p{Cf}/u.test(ch);
+}
+
+export function rectOccupiesSpace(rect) {
+  return rect.width > 0 && rect.height > 0;
+}
+
+export function isInsideRect(rect, x, y) {
+  return rect.left <= x && x <= rect.right && rect.top <= y &&
+      y <= rect.bottom && rectOccupiesSpace(rect);
+}
+
+/**
+ * Returns whether the given point lies outside all the client rectangles of
+ * the given range. If the range is collapsed, then returns true.
+ *
+ * @param {!Range} range
+ * @param {number} x
+ * @param {number} y
+ * @return {boolean}
+ */
+export function isPointOutsideRange(range, x, y) {
+  if (range.collapsed) return true;
+
+  for (const clientRect of range.getClientRects()) {
+    if (isInsideRect(clientRect, x, y)) return false;
+  }
+  return true;
+}
+
+/**
+ * Merges the rectangles that lie in the same line, e.g., the ones of the
+ * inline elements of the line, into one per line.
+ *
+ * @param {!Iterable<!DOMRect>} rects
+ * @return {!Array<!DOMRect>}
+ */
+export function mergeLineRects(rects) {
+  const lineRects = [];
+  for (const rect of rects) {
+    if (rect.width === 0 || rect.height === 0) continue;
+
+    const middle = (rect.top + rect.bottom) / 2;
+    const lineRect = lineRects.find(
+        (lineRect) => lineRect.top <= middle && middle <= lineRect.bottom);
+    if (lineRect == null) {
+      lineRects.push(DOMRect.fromRect(rect));
+      continue;
+    }
+    const left = Math.min(lineRect.left, rect.left);
+    const top = Math.min(lineRect.top, rect.top);
+    lineRect.width = Math.max(lineRect.right, rect.right) - left;
+    lineRect.height = Math.max(lineRect.bottom, rect.bottom) - top;
+    lineRect.x = left;
+    lineRect.y = top;
+  }
+  return lineRects;
+}
+
+/**
+ * @param {!Range} range
+ * @param {!StaticRange} staticRange
+ * @return {boolean} Whether both ranges cover the same text. All collapsed
+ *     ranges are the same: no text.
+ */
+export function isSameRange(range, staticRange) {
+  if (range.collapsed || staticRange.collapsed) {
+    return range.collapsed && staticRange.collapsed;
+  }
+  return range.startContainer === staticRange.startContainer &&
+      range.startOffset === staticRange.startOffset &&
+      range.endContainer === staticRange.endContainer &&
+      range.endOffset === staticRange.endOffset;
+}
+
+/**
+ * Returns a range over the given part of a text returned by
+ * `getRangeText()`.
+ *
+ * @param {function(number): {offsetNode: !Text, offset: number}} toPosition
+ * @param {number} start The index in the text where the range starts.
+ * @param {number} end The index in the text where the range ends.
+ * @return {!Range}
+ */
+export function createTextRange(toPosition, start, end) {
+  const startPosition = toPosition(start);
+  const endPosition = toPosition(end);
+  const range = document.createRange();
+  range.setStart(startPosition.offsetNode, startPosition.offset);
+  range.setEnd(endPosition.offsetNode, endPosition.offset);
+  return range;
+}
+
+/**
+ * Returns the parts of the text nodes inside the given range, in order,
+ * skipping the hidden text nodes.
+ *
+ * @param {!Range} range Both its boundaries must be in text nodes.
+ * @param {!Node} root The root of the highlighter.
+ * @return {!Array<{node: !Text, startOffset: number, endOffset: number}>}
+ */
+export function getRangeSegments(range, root) {
+  const segments = [];
+  const rangeRoot = range.startContainer.getRootNode();
+  for (let node = range.startContainer; node != null;
+       node = getNextTextNodeInTree(node, root)) {
+    // Text from other trees, e.g., from a shadow tree in the middle of the
+    // range, can't be compared with the range. We skip it.
+    if (node.getRootNode() !== rangeRoot) continue;
+    if (range.comparePoint(node, 0) > 0) break;
+
+    const startOffset = node === range.startContainer ? range.startOffset : 0;
+    const endOffset = node === range.endContainer ? range.endOffset :
+                                                    node.textContent.length;
+    segments.push({node, startOffset, endOffset});
+  }
+  return segments;
+}
+
+/**
+ * Returns the text inside the given range, skipping the hidden text nodes,
+ * together with a function that maps an index in that text back to a
+ * position in the DOM.
+ *
+ * @param {!Range} range Both its boundaries must be in text nodes.
+ * @param {!Node} root The root of the highlighter.
+ * @return {{
+ *   text: string,
+ *   toPosition: function(number): {offsetNode: !Text, offset: number},
+ * }}
+ */
+export function getRangeText(range, root) {
+  const segments = [];
+  let text = '';
+  for (const {node, startOffset, endOffset} of getRangeSegments(range, root)) {
+    segments.push({node, startOffset, textStart: text.length});
+    text += node.textContent.slice(startOffset, endOffset);
+  }
+
+  const toPosition = (index) => {
+    let i = segments.length - 1;
+    while (i > 0 && segments[i].textStart > index) i--;
+    const {node, startOffset, textStart} = segments[i];
+    return {offsetNode: node, offset: startOffset + index - textStart};
+  };
+  return {text, toPosition};
+}
+
+/**
+ * Scrolls the page so that the given range is visible, unless it already is.
+ *
+ * @param {!Range} range
+ */
+export function scrollIntoViewIfNeeded(range) {
+  const isVisible = () => {
+    const rect = range.getBoundingClientRect();
+    return rect.top >= 0 && rect.bottom <= window.innerHeight;
+  };
+  if (isVisible()) return;
+
+  // This takes care of the scrollable containers between the range and the
+  // page. However, if the container of the range is taller than the
+  // viewport, the range may still be out of view, so we scroll the page
+  // until the range is in its upper third.
+  const container = range.startContainer.parentElement ??
+      range.startContainer.getRootNode().host;
+  container.scrollIntoView({block: 'nearest'});
+  if (!isVisible()) {
+    window.scrollBy(
+        0, range.getBoundingClientRect().top - window.innerHeight / 3);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview
+ *
+ * Reading aloud with the speech synthesis of the browser. See "Read aloud" in
+ * hover-highlighter.js.
+ */
+
+/**
+ * Speaks text with the local `speechSynthesis`, and reports the word
+ * boundaries as they are reached.
+ */
+export class ReadAloud {
+  /**
+   * The `speech` option. See `HoverHighlighterOptions`. Null means that
+   * reading aloud is disabled.
+   *
+   * @type {?{voice: string, rate: number, pitch: number, dwellTime: number}}
+   */
+  #options = null;
+
+  #dwellTimeout = 0;
+
+  /** @type {?SpeechSynthesisUtterance} */
+  #utterance = null;
+
+  /** @type {function(!Node): string} */
+  #getLanguage;
+
+  /** Whether a line or paragraph (not just a word) is being read. */
+  isReadingText = false;
+
+  /**
+   * @param {function(!Node): string} getLanguage `getLanguage()` of
+   *     hover-highlighter.js.
+   */
+  constructor(getLanguage) {
+    this.#getLanguage = getLanguage;
+  }
+
+  /** @return {boolean} */
+  get isEnabled() {
+    return this.#options != null;
+  }
+
+  /** @return {boolean} */
+  get isSpeaking() {
+    // Not `speechSynthesis.speaking`, which is also true while another
+    // highlighter or the page itself speaks.
+    return this.#utterance != null;
+  }
+
+  /**
+   * @param {?{voice: string, rate: number, pitch: number, dwellTime: number}}
+   *     options Null disables reading aloud.
+   */
+  configure(options) {
+    this.#options = options;
+    if (options == null) this.stop();
+  }
+
+  /**
+   * Speaks the given word once the pointer dwells on it, unless this is
+   * called again before that.
+   *
+   * @param {!Range} wordRange Collapsed if there's no word under the pointer.
+   */
+  dwellOn(wordRange) {
+    clearTimeout(this.#dwellTimeout);
+    if (!this.isEnabled || wordRange.collapsed) return;
+
+    const word = wordRange.toString();
+    const lang = this.#getLanguage(wordRange.startContainer);
+    this.#dwellTimeout = setTimeout(() => {
+      if (!this.isReadingText) this.speak(word, lang);
+    }, this.#options.dwellTime);
+  }
+
+  /**
+   * Speaks the given text, interrupting whatever was being spoken.
+   *
+   * @param {string} text
+   * @param {string} lang The language of the text, as a BCP 47 language tag.
+   *     See `getLanguage()` in hover-highlighter.js.
+   * @param {function(number)=} onWordBoundary Called with the index in `text`
+   *     of every word as it starts being spoken. If given, the text is
+   *     considered a line or paragraph rather than a single word.
+   */
+  speak(text, lang, onWordBoundary = undefined) {
+    if (!this.isEnabled) return;
+    speechSynthesis.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    utterance.voice = speechSynthesis.getVoices().find(
+                          (voice) => voice.voiceURI === this.#options.voice) ??
+        null;
+    utterance.rate = this.#options.rate;
+    utterance.pitch = this.#options.pitch;
+
+    if (onWordBoundary != null) {
+      utterance.addEventListener('boundary', (event) => {
+        if (event.name === 'word') onWordBoundary(event.charIndex);
+      });
+    }
+    const onDone = () => {
+      // A newer utterance may have started in the meantime.
+      if (this.#utterance !== utterance) return;
+      this.#utterance = null;
+      this.isReadingText = false;
+    };
+    // Interrupted utterances fire `error` instead of `end`.
+    utterance.addEventListener('end', onDone);
+    utterance.addEventListener('error', onDone);
+
+    this.#utterance = utterance;
+    this.isReadingText = onWordBoundary != null;
+    speechSynthesis.speak(utterance);
+  }
+
+  /** Stops speaking, and cancels any pending dwell. */
+  stop() {
+    clearTimeout(this.#dwellTimeout);
+    this.isReadingText = false;
+    this.#utterance = null;
+    speechSynthesis.cancel();
+  }
+}
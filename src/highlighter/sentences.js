@@ -0,0 +1,208 @@
+/**
+ * @fileoverview
+ *
+ * Sentence detection. Unlike words, sentences may span multiple lines and
+ * multiple inline elements, so we look for their boundaries in the text of all
+ * the text nodes around the caret that belong to the same block.
+ */
+
+import {getNextTextNodeInTree, getPreviousTextNodeInTree} from './flat-tree.js';
+import {isWhitespaceOrZeroWidth} from './ranges.js';
+
+/**
+ * The maximum number of characters that we look at, in each direction from
+ * the caret, to find the boundaries of a sentence. This keeps the
+ * `pointermove` handler fast.
+ */
+const MAX_SENTENCE_SEARCH_LENGTH = 1000;
+
+/** Characters that end a sentence. */
+const SENTENCE_TERMINATOR_REGEX = /[.!?…‽。！？]/;
+
+/**
+ * Terminators that end a sentence even if they aren't followed by
+ * whitespace, as is usual in Chinese and Japanese.
+ */
+const FULLWIDTH_SENTENCE_TERMINATOR_REGEX = /[。！？]/;
+
+/**
+ * Characters that may come after the terminator of a sentence and still
+ * belong to it, e.g., the closing quote in: He said "Hi." Then he left.
+ */
+const SENTENCE_CLOSING_REGEX = /["'”’»)\]」』]/;
+
+/**
+ * Common abbreviations, in lowercase and without their final dot, that don't
+ * end a sentence even if they are followed by a capitalized word, like in
+ * "Mr. Smith". Single letters ("J. Smith") and abbreviations with inner dots
+ * ("U.S.") are recognized without being listed here.
+ */
+const SENTENCE_ABBREVIATIONS = new Set([
+  'approx', 'cf', 'corp', 'dr', 'fig', 'inc', 'jr', 'ltd', 'mr', 'mrs', 'ms',
+  'mt', 'no', 'prof', 'sr', 'st', 'vol', 'vs',
+]);
+
+/**
+ * Returns whether a sentence ends right before `index` in `text`, i.e.,
+ * whether `text[index - 1]` is the last character of a sentence.
+ *
+ * @param {string} text
+ * @param {number} index
+ * @return {boolean}
+ */
+function isSentenceEndAt(text, index) {
+  if (index <= 0 || index >= text.length ||
+      SENTENCE_CLOSING_REGEX.test(text[index]) ||
+      SENTENCE_TERMINATOR_REGEX.test(text[index])) {
+    return false;
+  }
+
+  // Skip the closing characters, then the terminators, e.g., `?!"`.
+  let terminatorsEnd = index;
+  while (terminatorsEnd > 0 &&
+         SENTENCE_CLOSING_REGEX.test(text[terminatorsEnd - 1])) {
+    terminatorsEnd--;
+  }
+  let terminatorsStart = terminatorsEnd;
+  while (terminatorsStart > 0 &&
+         SENTENCE_TERMINATOR_REGEX.test(text[terminatorsStart - 1])) {
+    terminatorsStart--;
+  }
+  if (terminatorsStart === terminatorsEnd) return false;
+
+  if (FULLWIDTH_SENTENCE_TERMINATOR_REGEX.test(text[terminatorsEnd - 1])) {
+    return true;
+  }
+
+  // Latin-like scripts need whitespace after the sentence. This rules out
+  // numbers like 3.14 and URLs like example.com.
+  if (!/\s/.test(text[index])) return false;
+
+  // A sentence doesn't begin with a lowercase letter, so this is not a
+  // sentence end. E.g.: "O la la… c'est la vie".
+  let nextCharIndex = index;
+  while (nextCharIndex < text.length &&
+         isWhitespaceOrZeroWidth(text[nextCharIndex])) {
+    nextCharIndex++;
+  }
+  if (/\p{Ll}/u.test(text[nextCharIndex])) return false;
+
+  if (text.slice(terminatorsStart, terminatorsEnd) === '.') {
+    const token = text.slice(0, terminatorsStart).match(/[\p{L}.]*$/u)[0];
+    if (token.length === 1 || token.includes('.') ||
+        SENTENCE_ABBREVIATIONS.has(token.toLowerCase())) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns the [start, end) indexes of the sentence in `text` that contains
+ * the character at `index`, without leading or trailing whitespace. Returns
+ * an empty interval if that character is whitespace between sentences.
+ *
+ * @param {string} text
+ * @param {number} index Should lie in [0, text.length).
+ * @return {!Array<number>}
+ */
+function findSentenceBounds(text, index) {
+  let start = index;
+  while (start > 0 && !isSentenceEndAt(text, start)) start--;
+
+  let end = index + 1;
+  while (end < text.length && !isSentenceEndAt(text, end)) end++;
+
+  while (start < end && isWhitespaceOrZeroWidth(text[start])) start++;
+  while (end > start && isWhitespaceOrZeroWidth(text[end - 1])) end--;
+  return [start, end];
+}
+
+/**
+ * Returns the closest ancestor of `node` that is not an inline element. The
+ * text of a sentence never leaves its block container.
+ *
+ * @param {!Node} node
+ * @param {!Node} root The root of the highlighter, where the search stops.
+ * @return {?Element}
+ */
+export function getBlockContainer(node, root) {
+  let element = node.parentElement;
+  while (element != null && element !== root &&
+         /^(inline|contents$)/.test(getComputedStyle(element).display)) {
+    element = element.parentElement;
+  }
+  return element;
+}
+
+/**
+ * Returns the range of the sentence at the caret position, or null if there
+ * is none. The sentence may span multiple lines and multiple text nodes from
+ * different parents, as long as they all belong to the same block container.
+ *
+ * @param {?{offsetNode: !Node, offset: number}} caretPosition
+ * @param {!Node} root The root of the highlighter.
+ * @return {?Range}
+ */
+export function findSentenceRange(caretPosition, root) {
+  if (caretPosition?.offsetNode.nodeType !== Node.TEXT_NODE) return null;
+
+  const caretNode = caretPosition.offsetNode;
+  const block = getBlockContainer(caretNode, root);
+  // See `CachedLineRange` in lines.js for why the sentence can't leave the
+  // tree of the caret.
+  const isInBlock = (node) => node != null &&
+      node.getRootNode() === caretNode.getRootNode() &&
+      getBlockContainer(node, root) === block;
+
+  // Collect the text nodes around the caret, in document order.
+  const nodes = [caretNode];
+  let searchedLength = caretPosition.offset;
+  for (let node = getPreviousTextNodeInTree(caretNode, root);
+       isInBlock(node) && searchedLength < MAX_SENTENCE_SEARCH_LENGTH;
+       node = getPreviousTextNodeInTree(node, root)) {
+    nodes.unshift(node);
+    searchedLength += node.textContent.length;
+  }
+  const caretNodeIndex = nodes.length - 1;
+  searchedLength = caretNode.textContent.length - caretPosition.offset;
+  for (let node = getNextTextNodeInTree(caretNode, root);
+       isInBlock(node) && searchedLength < MAX_SENTENCE_SEARCH_LENGTH;
+       node = getNextTextNodeInTree(node, root)) {
+    nodes.push(node);
+    searchedLength += node.textContent.length;
+  }
+
+  const nodeStarts = [];
+  let text = '';
+  for (const node of nodes) {
+    nodeStarts.push(text.length);
+    text += node.textContent;
+  }
+
+  // See the big comment inside `setHighlightWordRange` in hover-highlighter.js
+  // to understand in which situations can offset >= length.
+  const caretIndex = nodeStarts[caretNodeIndex] +
+      Math.min(caretPosition.offset, caretNode.textContent.length - 1);
+  const [start, end] = findSentenceBounds(text, caretIndex);
+  if (start === end) return null;
+
+  // Map the indexes back to text nodes. The start must not be at the end of
+  // a node, and the end must not be at the start of a node.
+  let startNodeIndex = 0;
+  while (start >= nodeStarts[startNodeIndex] +
+                      nodes[startNodeIndex].textContent.length) {
+    startNodeIndex++;
+  }
+  let endNodeIndex = startNodeIndex;
+  while (end > nodeStarts[endNodeIndex] +
+                   nodes[endNodeIndex].textContent.length) {
+    endNodeIndex++;
+  }
+
+  const sentenceRange = document.createRange();
+  sentenceRange.setStart(
+      nodes[startNodeIndex], start - nodeStarts[startNodeIndex]);
+  sentenceRange.setEnd(nodes[endNodeIndex], end - nodeStarts[endNodeIndex]);
+  return sentenceRange;
+}
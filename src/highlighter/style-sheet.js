@@ -0,0 +1,241 @@
+/**
+ * @fileoverview
+ *
+ * The stylesheet of the highlighter: the styles of its highlights, and of the
+ * elements that it adds to the page.
+ */
+
+import {
+  CSS_HIGHLIGHT_BRACKET_KEY,
+  CSS_HIGHLIGHT_FIRST_LETTERS_KEY,
+  CSS_HIGHLIGHT_OCCURRENCE_KEY,
+  CSS_HIGHLIGHT_PIN_KEY_PREFIX,
+  CSS_HIGHLIGHT_SYLLABLE_KEY_PREFIX,
+  PIN_COLORS,
+  SYLLABLE_COLORS,
+} from './highlights.js';
+
+/** All the styles of the highlighter, as CSS. See `getStyleSheet()`. */
+const STYLE_SHEET_TEXT = `
+  ${
+    ['sentence', 'line', 'word']
+        .map((granularity) => `
+          ::highlight(hover-highlighter_${granularity}) {
+            background-color: var(--hover_highlighter-${granularity}_background_color);
+            color: var(--hover_highlighter-${granularity}_text_color);
+          }
+
+          ::highlight(hover-highlighter_${granularity}-underline) {
+            text-decoration: underline 2px var(--hover_highlighter-${granularity}_background_color);
+          }
+
+          ::highlight(hover-highlighter_${granularity}-wavy-underline) {
+            text-decoration: underline wavy 2px var(--hover_highlighter-${granularity}_background_color);
+          }
+
+          ::highlight(hover-highlighter_${granularity}-text-shadow) {
+            text-shadow:
+                0 0 0.15em var(--hover_highlighter-${granularity}_background_color),
+                0 0 0.3em var(--hover_highlighter-${granularity}_background_color);
+          }`)
+        .join('')}
+  ${
+    Object.entries(PIN_COLORS)
+        .map(([color, value]) => `
+          ::highlight(${CSS_HIGHLIGHT_PIN_KEY_PREFIX}${color}) {
+            background-color: ${value};
+          }`)
+        .join('')}
+  ${
+    SYLLABLE_COLORS
+        .map((color, i) => `
+          ::highlight(${CSS_HIGHLIGHT_SYLLABLE_KEY_PREFIX}${i}) {
+            color: ${color};
+          }`)
+        .join('')}
+
+  /* The bracket that matches the highlighted one, in the code-aware mode. */
+  ::highlight(${CSS_HIGHLIGHT_BRACKET_KEY}) {
+    background-color: var(--hover_highlighter-word_background_color);
+    color: var(--hover_highlighter-word_text_color);
+  }
+
+  ::highlight(${CSS_HIGHLIGHT_OCCURRENCE_KEY}) {
+    background-color: var(--hover_highlighter-occurrence_background_color);
+  }
+
+  /* Highlights can't change the font weight, so a thin shadow of the text
+     makes it look bolder. */
+  ::highlight(${CSS_HIGHLIGHT_FIRST_LETTERS_KEY}) {
+    color: var(--hover_highlighter-line_text_color);
+    text-shadow: 0.04em 0 var(--hover_highlighter-line_text_color);
+  }
+
+  /* The element that holds the overlays below. See the \`OverlayHost\`
+     class. */
+
+  .hover-highlighter_overlays {
+    all: initial;
+  }
+
+  /* The reading ruler. See the \`FocusMask\` class. */
+
+  .hover-highlighter_focus-mask {
+    all: initial;
+    background-color: rgba(0, 0, 0, var(--hover_highlighter-focus_mask_opacity));
+    left: 0;
+    pointer-events: none;
+    position: fixed;
+    right: 0;
+    z-index: 2147483647;
+  }
+
+  .hover-highlighter_focus-mask.blur {
+    backdrop-filter: blur(3px);
+  }
+
+  /* The styles that the Highlight API can't draw. See the
+     \`HighlightOverlay\` class. */
+
+  .hover-highlighter_overlay {
+    all: initial;
+    pointer-events: none;
+    position: fixed;
+    z-index: 2147483647;
+  }
+
+  .hover-highlighter_overlay-box {
+    box-sizing: border-box;
+    pointer-events: none;
+    position: fixed;
+  }
+
+  .hover-highlighter_overlay-box.outline {
+    border: 2px solid var(--hover_highlighter-box_color);
+    border-radius: 0.3em;
+  }
+
+  .hover-highlighter_overlay-box.enlarge {
+    align-items: center;
+    background-color: var(--hover_highlighter-box_color);
+    border-radius: 0.2em;
+    box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3);
+    color: var(--hover_highlighter-box_text_color);
+    display: flex;
+    justify-content: center;
+    transform: scale(1.25);
+    white-space: pre;
+  }
+
+  /* The magnifier lens. See the \`Magnifier\` class. */
+
+  .hover-highlighter_magnifier {
+    all: initial;
+    pointer-events: none;
+    position: fixed;
+    z-index: 2147483647;
+  }
+
+  .hover-highlighter_magnifier-lens {
+    background-color: #ffffff;
+    border: 1px solid #757575;
+    border-radius: 0.25em;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    box-sizing: border-box;
+    color: #000000;
+    line-height: 1.4;
+    max-width: calc(100vw - 16px);
+    padding: 0.1em 0.3em;
+    position: fixed;
+    white-space: pre-wrap;
+  }
+
+  .hover-highlighter_magnifier-word {
+    background-color: var(--hover_highlighter-word_background_color);
+    border-radius: 0.15em;
+    color: var(--hover_highlighter-word_text_color);
+  }
+
+  /* The box where words are split into syllables. See the \`Hyphenator\`
+     class. */
+
+  .hover-highlighter_hyphenator {
+    all: initial;
+    left: 0;
+    pointer-events: none;
+    position: fixed;
+    top: 0;
+    visibility: hidden;
+  }
+
+  /* The copy of the text of a form field. See the \`TextFieldMirror\` class. */
+
+  .hover-highlighter_text-field-mirror {
+    all: initial;
+    pointer-events: none;
+    position: fixed;
+    z-index: 2147483647;
+  }
+`;
+
+/** @type {?CSSStyleSheet} */
+let styleSheet = null;
+
+/**
+ * Returns the stylesheet with all the styles of the highlighter. It's adopted
+ * by the document, and by every shadow root where we highlight something,
+ * since stylesheets from the document don't apply inside shadow trees.
+ *
+ * It's created the first time it's needed, so that importing this module
+ * doesn't touch the DOM.
+ *
+ * @return {!CSSStyleSheet}
+ */
+export function getStyleSheet() {
+  if (styleSheet == null) {
+    styleSheet = new CSSStyleSheet();
+    styleSheet.replaceSync(STYLE_SHEET_TEXT);
+  }
+  return styleSheet;
+}
+
+/**
+ * How many started highlighters use `styleSheet` in every document or shadow
+ * root that adopted it.
+ *
+ * @type {!Map<!(Document|ShadowRoot), number>}
+ */
+const styleSheetUsers = new Map();
+
+/**
+ * Makes the given document or shadow root adopt `styleSheet`, unless it already
+ * did for another highlighter.
+ *
+ * @param {!(Document|ShadowRoot)} documentOrShadowRoot
+ */
+export function adoptStyleSheet(documentOrShadowRoot) {
+  const users = styleSheetUsers.get(documentOrShadowRoot) ?? 0;
+  if (users === 0) {
+    documentOrShadowRoot.adoptedStyleSheets =
+        [...documentOrShadowRoot.adoptedStyleSheets, getStyleSheet()];
+  }
+  styleSheetUsers.set(documentOrShadowRoot, users + 1);
+}
+
+/**
+ * Undoes an `adoptStyleSheet()` call. The stylesheet goes away with its last
+ * user.
+ *
+ * @param {!(Document|ShadowRoot)} documentOrShadowRoot
+ */
+export function releaseStyleSheet(documentOrShadowRoot) {
+  const users = styleSheetUsers.get(documentOrShadowRoot) ?? 0;
+  if (users > 1) {
+    styleSheetUsers.set(documentOrShadowRoot, users - 1);
+    return;
+  }
+  styleSheetUsers.delete(documentOrShadowRoot);
+  documentOrShadowRoot.adoptedStyleSheets =
+      documentOrShadowRoot.adoptedStyleSheets.filter(
+          (adoptedStyleSheet) => adoptedStyleSheet !== styleSheet);
+}
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview
+ *
+ * The mirror of the text of form fields. See "Form fields and editors" in
+ * hover-highlighter.js.
+ */
+
+/**
+ * An invisible copy of the text of a `<textarea>` or `<input>` element, laid
+ * out on top of it. Only the highlighted parts of the copy are visible.
+ *
+ * The copy lives in its own shadow tree, so the line and sentence detection
+ * never leave it, and the styles of the page don't reach it.
+ */
+export class TextFieldMirror {
+  /** The types of `<input>` elements whose text is shown as-is. */
+  static TEXT_INPUT_TYPES = new Set(['email', 'search', 'tel', 'text', 'url']);
+
+  /** The CSS properties that affect the layout of the text of a field. */
+  static MIRRORED_PROPERTIES = [
+    'direction',
+    'font-family',
+    'font-feature-settings',
+    'font-kerning',
+    'font-size',
+    'font-stretch',
+    'font-style',
+    'font-variant',
+    'font-weight',
+    'letter-spacing',
+    'line-height',
+    'overflow-wrap',
+    'padding-bottom',
+    'padding-left',
+    'padding-right',
+    'padding-top',
+    'tab-size',
+    'text-align',
+    'text-indent',
+    'text-transform',
+    'white-space',
+    'word-break',
+    'word-spacing',
+    'writing-mode',
+  ];
+
+  #host = TextFieldMirror.#createHost();
+  #mirror = document.createElement('div');
+  #text = new Text();
+
+  /** @type {?(HTMLInputElement|HTMLTextAreaElement)} */
+  #field = null;
+
+  /** @type {!LineDetector} */
+  #lineDetector;
+
+  /**
+   * @param {!LineDetector} lineDetector The one that finds the lines of the
+   *     mirror.
+   */
+  constructor(lineDetector) {
+    this.#lineDetector = lineDetector;
+    this.#mirror.style.cssText =
+        'box-sizing: border-box; color: transparent; height: 100%; ' +
+        'overflow: hidden; width: 100%;';
+    this.#mirror.append(this.#text);
+    this.#host.attachShadow({mode: 'open'}).append(this.#mirror);
+  }
+
+  /** @return {!HTMLDivElement} */
+  static #createHost() {
+    const host = document.createElement('div');
+    host.className = 'hover-highlighter_text-field-mirror';
+    return host;
+  }
+
+  /**
+   * @param {?Element} element
+   * @return {boolean} Whether the given element is a field whose text we can
+   *     mirror.
+   */
+  static canMirror(element) {
+    return element instanceof HTMLTextAreaElement ||
+        element instanceof HTMLInputElement &&
+        TextFieldMirror.TEXT_INPUT_TYPES.has(element.type);
+  }
+
+  /** @return {?(HTMLInputElement|HTMLTextAreaElement)} The mirrored field. */
+  get field() {
+    return this.#field;
+  }
+
+  /**
+   * Like `document.caretPositionFromPoint()`, but inside the text of the
+   * given field.
+   *
+   * @param {!(HTMLInputElement|HTMLTextAreaElement)} field
+   * @param {number} x
+   * @param {number} y
+   * @return {?CaretPosition} A position in the text of the mirror.
+   */
+  caretPositionFromPoint(field, x, y) {
+    this.#sync(field);
+
+    // The mirror ignores the pointer, so that the user can still interact
+    // with the field. We make an exception just for this call.
+    this.#host.style.pointerEvents = 'auto';
+    const caretPosition = document.caretPositionFromPoint(
+        x, y, {shadowRoots: [this.#host.shadowRoot]});
+    this.#host.style.pointerEvents = '';
+
+    return caretPosition?.offsetNode === this.#text ? caretPosition : null;
+  }
+
+  /**
+   * @param {!(HTMLInputElement|HTMLTextAreaElement)} field
+   * @param {number} offset An offset in the value of the field.
+   * @return {{offsetNode: !Text, offset: number}} The same position in the
+   *     text of the mirror.
+   */
+  positionAt(field, offset) {
+    this.#sync(field);
+    return {offsetNode: this.#text, offset};
+  }
+
+  /**
+   * Updates the text, layout and scroll position of the mirror after the
+   * field changed, e.g., because the user typed or scrolled it.
+   */
+  refresh() {
+    if (this.#field == null) return;
+    if (this.#field.isConnected) {
+      this.#sync(this.#field);
+    } else {
+      this.destroy();
+    }
+  }
+
+  /**
+   * The element that holds the mirror in the page. It lives outside of
+   * the root of the highlighter, so it doesn't inherit the colors set there.
+   *
+   * @return {!HTMLElement}
+   */
+  get host() {
+    return this.#host;
+  }
+
+  /** Removes the mirror from the page. */
+  destroy() {
+    this.#host.remove();
+    this.#field = null;
+  }
+
+  /**
+   * Makes the mirror cover the content box of the given field, with the same
+   * text, layout and scroll position.
+   *
+   * @param {!(HTMLInputElement|HTMLTextAreaElement)} field
+   */
+  #sync(field) {
+    this.#field = field;
+    if (!this.#host.isConnected) document.documentElement.append(this.#host);
+    // The field may have changed in any way since the last time.
+    this.#lineDetector.forgetTextNode(this.#text);
+
+    const style = getComputedStyle(field);
+    for (const property of TextFieldMirror.MIRRORED_PROPERTIES) {
+      this.#mirror.style.setProperty(
+          property, style.getPropertyValue(property));
+    }
+    if (field instanceof HTMLInputElement) {
+      // The single line of an `<input>` is vertically centered.
+      this.#mirror.style.whiteSpace = 'pre';
+      this.#mirror.style.lineHeight = `${
+          field.clientHeight - parseFloat(style.paddingTop) -
+          parseFloat(style.paddingBottom)}px`;
+    }
+
+    const rect = field.getBoundingClientRect();
+    this.#host.style.left = `${rect.left + field.clientLeft}px`;
+    this.#host.style.top = `${rect.top + field.clientTop}px`;
+    this.#host.style.width = `${field.clientWidth}px`;
+    this.#host.style.height = `${field.clientHeight}px`;
+
+    // A trailing line break makes a `<textarea>` one line taller, but not a
+    // `<div>`. The extra space doesn't change the offsets of the value.
+    const text = field.value.endsWith('\n') ? `${field.value} ` : field.value;
+    // Assigning the same text would still collapse the highlighted ranges.
+    if (this.#text.data !== text) this.#text.data = text;
+
+    this.#mirror.scrollTop = field.scrollTop;
+    this.#mirror.scrollLeft = field.scrollLeft;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview
+ *
+ * The capture of words for language learners. See "Vocabulary" in
+ * hover-highlighter.js.
+ */
+
+import {isOwnNode} from './own-elements.js';
+import {getRangeText, isSameRange} from './ranges.js';
+import {findSentenceRange} from './sentences.js';
+
+/** Captures the words that the reader may not know. */
+export class VocabularyCapture {
+  #dwellTime = 0;
+  #dwellTimeout = 0;
+
+  /**
+   * The last captured word. Dwelling on it again doesn't capture it again.
+   */
+  #lastCapturedRange = document.createRange();
+
+  /** @type {!Element} */
+  #root;
+
+  /** @type {function(!Range): ?Element} */
+  #getContainingElement;
+
+  /** @type {function(string, ?Object=)} */
+  #dispatchHighlighterEvent;
+
+  /** Whether words are captured. Changed through `configure()`. */
+  isEnabled = false;
+
+  /**
+   * @param {{
+   *   root: !Element,
+   *   getContainingElement: function(!Range): ?Element,
+   *   dispatchHighlighterEvent: function(string, ?Object=),
+   * }} dependencies The root of the highlighter, where the sentences end.
+   *     `dispatchHighlighterEvent()` reports the `wordcapture` events, with
+   *     the element from `getContainingElement()`.
+   */
+  constructor({root, getContainingElement, dispatchHighlighterEvent}) {
+    this.#root = root;
+    this.#getContainingElement = getContainingElement;
+    this.#dispatchHighlighterEvent = dispatchHighlighterEvent;
+  }
+
+  /**
+   * Turns the capture on or off according to the `vocabulary` option. See
+   * `HoverHighlighterOptions`.
+   *
+   * @param {?{dwellTime: number}} options Null turns the capture off.
+   */
+  configure(options) {
+    this.isEnabled = options != null;
+    this.#dwellTime = options?.dwellTime ?? 0;
+    if (!this.isEnabled) clearTimeout(this.#dwellTimeout);
+  }
+
+  /**
+   * Captures the given word once the pointer dwells on it, unless this is
+   * called again before that.
+   *
+   * @param {!Range} wordRange Collapsed if there's no word under the pointer.
+   */
+  dwellOn(wordRange) {
+    clearTimeout(this.#dwellTimeout);
+    if (!this.isEnabled || wordRange.collapsed ||
+        isSameRange(wordRange, this.#lastCapturedRange)) {
+      return;
+    }
+
+    const range = wordRange.cloneRange();
+    this.#dwellTimeout = setTimeout(() => {
+      this.capture(range);
+    }, this.#dwellTime);
+  }
+
+  /**
+   * Captures the given word right away, unless it's not made of letters,
+   * e.g., a number.
+   *
+   * @param {!Range} wordRange
+   */
+  capture(wordRange) {
+    // The text of form fields is being written, not read.
+    if (!this.isEnabled || wordRange.collapsed ||
+        isOwnNode(wordRange.startContainer)) {
+      return;
+    }
+    const word = getRangeText(wordRange, this.#root).text;
+    if (!/\p{L}/u.test(word)) return;
+
+    this.#lastCapturedRange = wordRange.cloneRange();
+    const sentenceRange = findSentenceRange(
+        {offsetNode: wordRange.startContainer, offset: wordRange.startOffset},
+        this.#root);
+    const sentence = sentenceRange == null ?
+        word :
+        getRangeText(sentenceRange, this.#root)
+            .text.replace(/\s+/g, ' ')
+            .trim();
+    this.#dispatchHighlighterEvent('wordcapture', {
+      word,
+      sentence,
+      element: this.#getContainingElement(wordRange),
+    });
+  }
+
+  /** Stops capturing words. */
+  destroy() {
+    this.isEnabled = false;
+    clearTimeout(this.#dwellTimeout);
+  }
+}
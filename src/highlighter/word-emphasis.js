@@ -0,0 +1,297 @@
+/**
+ * @fileoverview
+ *
+ * The emphasis inside the highlights, for readers with dyslexia. See "Emphasis"
+ * in hover-highlighter.js.
+ */
+
+import {
+  addHighlightRange,
+  CSS_HIGHLIGHT_FIRST_LETTERS_KEY,
+  CSS_HIGHLIGHT_SYLLABLE_KEY_PREFIX,
+  deleteHighlightRange,
+  SYLLABLE_COLORS,
+} from './highlights.js';
+import {
+  createTextRange,
+  getRangeText,
+  isSameRange,
+  rectOccupiesSpace,
+} from './ranges.js';
+
+/**
+ * Finds the syllables of words with the hyphenation of the browser, which
+ * follows the hyphenation patterns of the language of the text. The browser
+ * doesn't expose where it would hyphenate a word, so we lay the word out in a
+ * hidden box too narrow for any of its syllables, with `hyphens: auto`. Then
+ * every line of the box is a syllable.
+ *
+ * Where the browser lacks the patterns of a language, words don't split.
+ */
+class Hyphenator {
+  /** The most words whose syllables are remembered. */
+  static MAX_CACHED_WORDS = 500;
+
+  #host = Hyphenator.#createHost();
+  #box = document.createElement('div');
+  #text = new Text();
+
+  /**
+   * The syllable starts of the words measured so far, by language and word.
+   *
+   * @type {!Map<string, !Array<number>>}
+   */
+  #cache = new Map();
+
+  constructor() {
+    this.#box.style.cssText =
+        'hyphens: auto; -webkit-hyphens: auto; width: 0;';
+    this.#box.append(this.#text);
+    this.#host.attachShadow({mode: 'open'}).append(this.#box);
+  }
+
+  /** @return {!HTMLDivElement} */
+  static #createHost() {
+    const host = document.createElement('div');
+    host.className = 'hover-highlighter_hyphenator';
+    return host;
+  }
+
+  /**
+   * @param {string} word
+   * @param {string} lang A BCP 47 language tag.
+   * @return {!Array<number>} The indices in `word` where its syllables
+   *     start, other than 0.
+   */
+  getSyllableStarts(word, lang) {
+    const key = `${lang}\n${word}`;
+    let starts = this.#cache.get(key);
+    if (starts == null) {
+      starts = this.#measureSyllableStarts(word, lang);
+      if (this.#cache.size >= Hyphenator.MAX_CACHED_WORDS) {
+        this.#cache.clear();
+      }
+      this.#cache.set(key, starts);
+    }
+    return starts;
+  }
+
+  /** Takes the hidden box out of the page. */
+  destroy() {
+    this.#host.remove();
+  }
+
+  /**
+   * @param {string} word
+   * @param {string} lang
+   * @return {!Array<number>}
+   */
+  #measureSyllableStarts(word, lang) {
+    if (!this.#host.isConnected) document.documentElement.append(this.#host);
+    this.#box.lang = lang;
+    this.#text.data = word;
+
+    const starts = [];
+    const range = document.createRange();
+    let lastTop = null;
+    for (let i = 0; i < word.length; i++) {
+      range.setStart(this.#text, i);
+      range.setEnd(this.#text, i + 1);
+      const rect = range.getBoundingClientRect();
+      // E.g., soft hyphens.
+      if (!rectOccupiesSpace(rect)) continue;
+
+      if (lastTop != null && rect.top > lastTop + rect.height / 2) {
+        starts.push(i);
+      }
+      lastTop = rect.top;
+    }
+    return starts;
+  }
+}
+
+/** Draws the emphasis inside the highlighted word and line. */
+export class WordEmphasis {
+  /**
+   * The `emphasis` option. See `HoverHighlighterOptions`. Null means that
+   * there's no emphasis.
+   *
+   * @type {?{syllables: boolean, firstLetters: number}}
+   */
+  #options = null;
+
+  /** Created the first time a word is split into syllables. */
+  #hyphenator = null;
+
+  /**
+   * The word and line that the emphasis was last drawn for. Null if it has
+   * to be drawn again anyway.
+   *
+   * @type {?StaticRange}
+   */
+  #wordRange = null;
+  /** @type {?StaticRange} */
+  #lineRange = null;
+
+  /**
+   * The ranges in the highlights, and their keys.
+   *
+   * @type {!Map<!Range, string>}
+   */
+  #syllableRanges = new Map();
+  /** @type {!Map<!Range, string>} */
+  #firstLetterRanges = new Map();
+
+  /** @type {!Element} */
+  #root;
+
+  /** @type {!Range} */
+  #highlightWordRange;
+
+  /** @type {!Range} */
+  #highlightLineRange;
+
+  /** @type {function(!Node): string} */
+  #getLanguage;
+
+  /** @type {function(string): boolean} */
+  #isVisibleWordChar;
+
+  /**
+   * @param {{
+   *   root: !Element,
+   *   wordRange: !Range,
+   *   lineRange: !Range,
+   *   getLanguage: function(!Node): string,
+   *   isVisibleWordChar: function(string): boolean,
+   * }} dependencies The highlighted word and line, whose text is read up to
+   *     the root of the highlighter. `getLanguage()` picks the hyphenation
+   *     patterns of the syllables, and `isVisibleWordChar()` tells where the
+   *     words of the line start.
+   */
+  constructor({root, wordRange, lineRange, getLanguage, isVisibleWordChar}) {
+    this.#root = root;
+    this.#highlightWordRange = wordRange;
+    this.#highlightLineRange = lineRange;
+    this.#getLanguage = getLanguage;
+    this.#isVisibleWordChar = isVisibleWordChar;
+  }
+
+  /** @return {boolean} */
+  get isSyllablesEnabled() {
+    return this.#options?.syllables ?? false;
+  }
+
+  /** @return {boolean} */
+  get isFirstLettersEnabled() {
+    return (this.#options?.firstLetters ?? 0) > 0;
+  }
+
+  /**
+   * @param {?{syllables: boolean, firstLetters: number}} options Null
+   *     removes the emphasis.
+   */
+  configure(options) {
+    this.#options = options;
+    this.#wordRange = null;
+    this.#lineRange = null;
+    this.update();
+  }
+
+  /**
+   * Draws the emphasis again, if the highlighted word or line changed since
+   * the last time.
+   */
+  update() {
+    if (this.#wordRange == null ||
+        !isSameRange(this.#highlightWordRange, this.#wordRange)) {
+      this.#wordRange = new StaticRange(this.#highlightWordRange);
+      this.#draw(
+          this.#syllableRanges,
+          this.isSyllablesEnabled ? this.#getSyllableRanges() : new Map());
+    }
+    if (this.#lineRange == null ||
+        !isSameRange(this.#highlightLineRange, this.#lineRange)) {
+      this.#lineRange = new StaticRange(this.#highlightLineRange);
+      this.#draw(
+          this.#firstLetterRanges,
+          this.isFirstLettersEnabled ? this.#getFirstLetterRanges() :
+                                       new Map());
+    }
+  }
+
+  /** Removes the emphasis, and disables it until it's configured again. */
+  destroy() {
+    this.configure(null);
+    this.#hyphenator?.destroy();
+  }
+
+  /** @return {!Map<!Range, string>} */
+  #getSyllableRanges() {
+    const ranges = new Map();
+    if (this.#highlightWordRange.collapsed) return ranges;
+
+    const {text, toPosition} =
+        getRangeText(this.#highlightWordRange, this.#root);
+    this.#hyphenator ??= new Hyphenator();
+    const starts = this.#hyphenator.getSyllableStarts(
+        text, this.#getLanguage(this.#highlightWordRange.startContainer));
+    if (starts.length === 0) return ranges;
+
+    const bounds = [0, ...starts, text.length];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const colorIndex = i % SYLLABLE_COLORS.length;
+      ranges.set(
+          createTextRange(toPosition, bounds[i], bounds[i + 1]),
+          `${CSS_HIGHLIGHT_SYLLABLE_KEY_PREFIX}${colorIndex}`);
+    }
+    return ranges;
+  }
+
+  /**
+   * Returns the ranges of the first letters of every word of the line. At
+   * most half of every word is emphasized, so that short words don't look
+   * bold as a whole.
+   *
+   * @return {!Map<!Range, string>}
+   */
+  #getFirstLetterRanges() {
+    const ranges = new Map();
+    if (this.#highlightLineRange.collapsed) return ranges;
+
+    const {text, toPosition} =
+        getRangeText(this.#highlightLineRange, this.#root);
+    let wordStart = -1;
+    for (let i = 0; i <= text.length; i++) {
+      const isInWord = i < text.length && this.#isVisibleWordChar(text[i]);
+      if (isInWord && wordStart === -1) {
+        wordStart = i;
+      } else if (!isInWord && wordStart !== -1) {
+        const length = Math.min(
+            this.#options.firstLetters, Math.ceil((i - wordStart) / 2));
+        ranges.set(
+            createTextRange(toPosition, wordStart, wordStart + length),
+            CSS_HIGHLIGHT_FIRST_LETTERS_KEY);
+        wordStart = -1;
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Replaces the drawn ranges with the given ones.
+   *
+   * @param {!Map<!Range, string>} drawnRanges
+   * @param {!Map<!Range, string>} ranges
+   */
+  #draw(drawnRanges, ranges) {
+    for (const [range, key] of drawnRanges) {
+      deleteHighlightRange(key, range);
+    }
+    drawnRanges.clear();
+    for (const [range, key] of ranges) {
+      addHighlightRange(key, range);
+      drawnRanges.set(range, key);
+    }
+  }
+}
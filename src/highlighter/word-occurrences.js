@@ -0,0 +1,497 @@
+/**
+ * @fileoverview
+ *
+ * The occurrences of the highlighted word. See "Occurrences" in
+ * hover-highlighter.js.
+ */
+
+import {getNextTextNode, getNextTextNodeInTree} from './flat-tree.js';
+import {
+  addHighlightRange,
+  CSS_HIGHLIGHT_OCCURRENCE_KEY,
+  deleteHighlightRange,
+} from './highlights.js';
+import {isOwnNode} from './own-elements.js';
+import {getRangeText, rectOccupiesSpace} from './ranges.js';
+
+/**
+ * The time that indexing may take in a row, at least. The browser gives us
+ * more when it's idle, and none at all when it never is.
+ */
+const MIN_INDEXING_SLICE = 5;  // milliseconds
+
+/**
+ * How long we wait for the browser to be idle before indexing anyway, so
+ * that busy pages are indexed too.
+ */
+const INDEXING_TIMEOUT = 1000;  // milliseconds
+
+/**
+ * @param {!Node} node
+ * @return {!Array<!Text>} The given node if it's a text node, or else the
+ *     text nodes under it, in the light tree only.
+ */
+function getTextNodes(node) {
+  if (node.nodeType === Node.TEXT_NODE) return [node];
+  const textNodes = [];
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode() != null) textNodes.push(walker.currentNode);
+  return textNodes;
+}
+
+/**
+ * Keeps the index of the words of the page, and highlights the occurrences
+ * of the highlighted word.
+ */
+export class WordOccurrences {
+  /**
+   * The indexed text nodes, with the offsets of every word in them. The
+   * words are lowercase.
+   *
+   * @type {!Map<!Text, !Map<string, !Array<number>>>}
+   */
+  #wordsByNode = new Map();
+
+  /**
+   * The indexed text nodes that contain every word.
+   *
+   * @type {!Map<string, !Set<!Text>>}
+   */
+  #nodesByWord = new Map();
+
+  /**
+   * The text nodes that the page added or changed, waiting to be indexed.
+   *
+   * @type {!Set<!Text>}
+   */
+  #pendingNodes = new Set();
+
+  /**
+   * The last text node indexed by the walk over the root, or null if the walk
+   * hasn't started yet.
+   *
+   * @type {?Text}
+   */
+  #walkNode = null;
+
+  #isWalkDone = false;
+
+  /** The delimiters with which the index was built. */
+  #delimiters = '';
+
+  #idleCallback = 0;
+
+  /** The highlighted word, in lowercase. Empty if there's none. */
+  #word = '';
+
+  /**
+   * The occurrences of `#word`, including the highlighted word itself.
+   *
+   * @type {!Array<!Range>}
+   */
+  #ranges = [];
+
+  /**
+   * The occurrence that is the highlighted word, which is not highlighted
+   * as an occurrence.
+   *
+   * @type {?Range}
+   */
+  #hoveredRange = null;
+
+  /** Whether the index changed for `#word` since the last `#find()`. */
+  #hasWordChanges = false;
+
+  /** The detail of the last `occurrenceschange` event. */
+  #dispatchedDetail = {word: '', count: 0};
+
+  /** @type {!Element} */
+  #root;
+
+  /** @type {!Range} */
+  #wordRange;
+
+  /** @type {function(string): boolean} */
+  #isWordChar;
+
+  /** @type {function(): string} */
+  #getWordDelimiters;
+
+  /** @type {function(string, ?string)} */
+  #updateProperty;
+
+  /** @type {function(!Node)} */
+  #styleShadowRoot;
+
+  /** @type {function(string, ?Object=)} */
+  #dispatchHighlighterEvent;
+
+  /** Whether occurrences are highlighted. Changed through `configure()`. */
+  isEnabled = false;
+
+  /**
+   * @param {{
+   *   root: !Element,
+   *   wordRange: !Range,
+   *   isWordChar: function(string): boolean,
+   *   getWordDelimiters: function(): string,
+   *   updateProperty: function(string, ?string),
+   *   styleShadowRoot: function(!Node),
+   *   dispatchHighlighterEvent: function(string, ?Object=),
+   * }} dependencies The root of the highlighter is the text that's indexed,
+   *     split into words by `isWordChar()`, which depends on
+   *     `getWordDelimiters()`. `updateProperty()` sets the color of the
+   *     occurrences, `styleShadowRoot()` lets them be drawn in shadow trees,
+   *     and `dispatchHighlighterEvent()` reports the `occurrenceschange`
+   *     events.
+   */
+  constructor({
+    root,
+    wordRange,
+    isWordChar,
+    getWordDelimiters,
+    updateProperty,
+    styleShadowRoot,
+    dispatchHighlighterEvent,
+  }) {
+    this.#root = root;
+    this.#wordRange = wordRange;
+    this.#isWordChar = isWordChar;
+    this.#getWordDelimiters = getWordDelimiters;
+    this.#updateProperty = updateProperty;
+    this.#styleShadowRoot = styleShadowRoot;
+    this.#dispatchHighlighterEvent = dispatchHighlighterEvent;
+  }
+
+  /**
+   * Turns the occurrences on or off according to the `occurrences` option.
+   * See `HoverHighlighterOptions`.
+   *
+   * @param {?{color: string}} options Null turns them off.
+   */
+  configure(options) {
+    if (options == null) {
+      this.destroy();
+      return;
+    }
+    this.#updateProperty(
+        '--hover_highlighter-occurrence_background_color', options.color);
+    this.isEnabled = true;
+    // The words are not the same with other delimiters.
+    const delimiters = this.#getWordDelimiters();
+    if (this.#delimiters !== delimiters) this.#clearIndex();
+    this.#delimiters = delimiters;
+    this.#scheduleIndexing();
+    this.update();
+  }
+
+  /** @return {number} How many times the highlighted word is in the page. */
+  get count() {
+    return this.#ranges.length;
+  }
+
+  /**
+   * Highlights the occurrences of the highlighted word. Called every time
+   * the highlights change.
+   */
+  update() {
+    if (!this.isEnabled) return;
+
+    const word = this.#wordRange.collapsed ||
+            isOwnNode(this.#wordRange.startContainer) ?
+        '' :
+        getRangeText(this.#wordRange, this.#root).text.toLowerCase();
+    if (word !== this.#word || this.#hasWordChanges) {
+      this.#word = word;
+      this.#find();
+    }
+    this.#updateHoveredRange();
+  }
+
+  /**
+   * Indexes the text nodes that the given changes of the page add or change,
+   * and forgets the ones that they remove.
+   *
+   * @param {!Array<!MutationRecord>} records
+   */
+  handleMutations(records) {
+    if (!this.isEnabled) return;
+
+    for (const record of records) {
+      if (record.type === 'characterData') {
+        // Its offsets are wrong until it's indexed again.
+        this.#unindex(record.target);
+        this.#pendingNodes.add(record.target);
+      } else if (record.type === 'childList') {
+        for (const node of record.removedNodes) {
+          for (const textNode of getTextNodes(node)) {
+            this.#unindex(textNode);
+            this.#pendingNodes.delete(textNode);
+          }
+        }
+        for (const node of record.addedNodes) {
+          if (isOwnNode(node)) continue;
+          for (const textNode of getTextNodes(node)) {
+            this.#pendingNodes.add(textNode);
+          }
+        }
+      }
+    }
+    this.#scheduleIndexing();
+    if (this.#hasWordChanges) this.update();
+  }
+
+  /**
+   * Returns the occurrence after (direction 1) or before (direction -1) the
+   * highlighted word, in reading order. Wraps around the ends of the page.
+   *
+   * @param {number} direction
+   * @return {?Range} Null if the word is nowhere else in the page.
+   */
+  findNeighbor(direction) {
+    // The occurrences may lie in different trees, which ranges can't
+    // compare, so we compare where they are in the page instead: line by
+    // line, and from left to right inside a line.
+    const occurrences =
+        this.#ranges
+            .map((range) => ({range, rect: range.getBoundingClientRect()}))
+            .filter(({range, rect}) =>
+                        range === this.#hoveredRange ||
+                        rectOccupiesSpace(rect))
+            .sort(
+                (a, b) => Math.round(a.rect.top) - Math.round(b.rect.top) ||
+                    a.rect.left - b.rect.left);
+    const index = occurrences.findIndex(
+        ({range}) => range === this.#hoveredRange);
+    if (index === -1) {
+      return occurrences.at(direction > 0 ? 0 : -1)?.range ?? null;
+    }
+    if (occurrences.length < 2) return null;
+    return occurrences.at((index + direction) % occurrences.length).range;
+  }
+
+  /** Removes the highlights, stops indexing, and forgets the index. */
+  destroy() {
+    this.isEnabled = false;
+    this.#clearIndex();
+    this.#word = '';
+    this.#draw([]);
+    this.#hoveredRange = null;
+    this.#dispatchCount();
+  }
+
+  #clearIndex() {
+    this.#wordsByNode.clear();
+    this.#nodesByWord.clear();
+    this.#pendingNodes.clear();
+    this.#walkNode = null;
+    this.#isWalkDone = false;
+    this.#hasWordChanges = true;
+    if (this.#idleCallback !== 0) {
+      WordOccurrences.#cancelIdleCallback(this.#idleCallback);
+      this.#idleCallback = 0;
+    }
+  }
+
+  /**
+   * Like `requestIdleCallback()`, which Safari doesn't have.
+   *
+   * @param {function(!IdleDeadline)} callback
+   * @return {number}
+   */
+  static #requestIdleCallback(callback) {
+    if (typeof requestIdleCallback === 'function') {
+      return requestIdleCallback(callback, {timeout: INDEXING_TIMEOUT});
+    }
+    return setTimeout(() => {
+      callback({didTimeout: true, timeRemaining: () => 0});
+    });
+  }
+
+  /** @param {number} id */
+  static #cancelIdleCallback(id) {
+    if (typeof cancelIdleCallback === 'function') {
+      cancelIdleCallback(id);
+    } else {
+      clearTimeout(id);
+    }
+  }
+
+  #scheduleIndexing() {
+    if (this.#idleCallback !== 0 ||
+        this.#isWalkDone && this.#pendingNodes.size === 0) {
+      return;
+    }
+    this.#idleCallback = WordOccurrences.#requestIdleCallback((deadline) => {
+      this.#idleCallback = 0;
+      const sliceEnd =
+          performance.now() +
+          Math.max(deadline.timeRemaining(), MIN_INDEXING_SLICE);
+      while (performance.now() < sliceEnd) {
+        const node = this.#takeNextNode();
+        if (node == null) break;
+        this.#index(node);
+      }
+      this.#scheduleIndexing();
+      if (this.#hasWordChanges) this.update();
+    });
+  }
+
+  /** @return {?Text} The next text node to index, if any. */
+  #takeNextNode() {
+    // The changes of the page first, since the reader may be looking at
+    // them.
+    for (const node of this.#pendingNodes) {
+      this.#pendingNodes.delete(node);
+      return node;
+    }
+    if (this.#isWalkDone) return null;
+
+    // If the page removed the last node of the walk, we can't tell where it
+    // was anymore, so we walk the page again. Indexing a node twice does no
+    // harm.
+    if (this.#walkNode != null && !this.#walkNode.isConnected) {
+      this.#walkNode = null;
+    }
+    this.#walkNode = this.#walkNode == null ?
+        getNextTextNode(this.#root) :
+        getNextTextNodeInTree(this.#walkNode, this.#root);
+    this.#isWalkDone = this.#walkNode == null;
+    return this.#walkNode;
+  }
+
+  /**
+   * Indexes the words of the given text node, replacing its previous entry.
+   *
+   * @param {!Text} node
+   */
+  #index(node) {
+    this.#unindex(node);
+    if (!node.isConnected || isOwnNode(node)) return;
+
+    /** @type {!Map<string, !Array<number>>} */
+    const words = new Map();
+    const text = node.data;
+    let start = -1;
+    for (let i = 0; i <= text.length; i++) {
+      if (i < text.length && this.#isWordChar(text[i])) {
+        if (start === -1) start = i;
+        continue;
+      }
+      if (start === -1) continue;
+      const word = text.slice(start, i).toLowerCase();
+      if (words.has(word)) {
+        words.get(word).push(start);
+      } else {
+        words.set(word, [start]);
+      }
+      start = -1;
+    }
+    if (words.size === 0) return;
+
+    this.#wordsByNode.set(node, words);
+    for (const word of words.keys()) {
+      let nodes = this.#nodesByWord.get(word);
+      if (nodes == null) {
+        nodes = new Set();
+        this.#nodesByWord.set(word, nodes);
+      }
+      nodes.add(node);
+    }
+    if (words.has(this.#word)) this.#hasWordChanges = true;
+  }
+
+  /** @param {!Text} node */
+  #unindex(node) {
+    const words = this.#wordsByNode.get(node);
+    if (words == null) return;
+
+    this.#wordsByNode.delete(node);
+    for (const word of words.keys()) {
+      const nodes = this.#nodesByWord.get(word);
+      nodes.delete(node);
+      if (nodes.size === 0) this.#nodesByWord.delete(word);
+    }
+    if (words.has(this.#word)) this.#hasWordChanges = true;
+  }
+
+  /** Highlights all the occurrences of `#word` found in the index. */
+  #find() {
+    this.#hasWordChanges = false;
+    const ranges = [];
+    for (const node of this.#nodesByWord.get(this.#word) ?? []) {
+      for (const start of this.#wordsByNode.get(node).get(this.#word)) {
+        // In case the text changed since it was indexed.
+        if (start > node.data.length) continue;
+        // The end of the word in the text, whose lowercase may have another
+        // length.
+        let end = start;
+        while (end < node.data.length && this.#isWordChar(node.data[end])) {
+          end++;
+        }
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        ranges.push(range);
+      }
+      this.#styleShadowRoot(node);
+    }
+    this.#hoveredRange = null;
+    this.#draw(ranges);
+    this.#dispatchCount();
+  }
+
+  /**
+   * Takes the highlighted word out of the highlighted occurrences, and puts
+   * back the one that was highlighted before.
+   */
+  #updateHoveredRange() {
+    const hoveredRange =
+        this.#ranges.find(
+            (range) => range.startContainer ===
+                    this.#wordRange.startContainer &&
+                range.startOffset === this.#wordRange.startOffset) ??
+        null;
+    if (hoveredRange === this.#hoveredRange) return;
+
+    if (this.#hoveredRange != null) {
+      addHighlightRange(CSS_HIGHLIGHT_OCCURRENCE_KEY, this.#hoveredRange);
+    }
+    if (hoveredRange != null) {
+      deleteHighlightRange(CSS_HIGHLIGHT_OCCURRENCE_KEY, hoveredRange);
+    }
+    this.#hoveredRange = hoveredRange;
+  }
+
+  /**
+   * Replaces the highlighted occurrences with the given ones.
+   *
+   * @param {!Array<!Range>} ranges
+   */
+  #draw(ranges) {
+    // Other highlighters may have their own ranges in the same highlight.
+    for (const range of this.#ranges) {
+      deleteHighlightRange(CSS_HIGHLIGHT_OCCURRENCE_KEY, range);
+    }
+    this.#ranges = ranges;
+    for (const range of ranges) {
+      addHighlightRange(CSS_HIGHLIGHT_OCCURRENCE_KEY, range);
+    }
+  }
+
+  /**
+   * Dispatches an `occurrenceschange` event if the occurrences changed. Its
+   * detail has the highlighted word in lowercase, and its count of
+   * occurrences, or an empty word and 0 if it's nowhere.
+   */
+  #dispatchCount() {
+    const word = this.count === 0 ? '' : this.#word;
+    if (word === this.#dispatchedDetail.word &&
+        this.count === this.#dispatchedDetail.count) {
+      return;
+    }
+    this.#dispatchedDetail = {word, count: this.count};
+    this.#dispatchHighlighterEvent(
+        'occurrenceschange', {word, count: this.count});
+  }
+}
@@ -0,0 +1,2499 @@
+/**
+ * @fileoverview
+ *
+ * Highlights the word and line under the cursor as follows:
+ *
+ * 1. We listen to the pointermove event.
+ * 2. Using the `document.caretPositionFromPoint()` function, which also looks
+ *    inside open shadow roots (see `getCaretPosition()`), we identify the word
+ *    under the cursor and put it inside a Range. We use `Intl.Segmenter`
+ *    and the `isDelimiter` function as the definition of word boundaries.
+ * 3. We also identify the Range that covers the visual line in which the word
+ *    lies. We find the lines of every text node with a binary search over the
+ *    rects of its characters (see `LineDetector`), and we join the neighboring
+ *    text nodes whose lines are the same visual line (see `CachedLineRange`).
+ * 4. Finally, we highlight both Ranges using the CSS Highlight API.
+ *
+ * Optionally, we also highlight the sentence under the cursor. Please see
+ * `setHighlightSentenceRange()`.
+ *
+ * The features that keep state of their own, e.g., the reading ruler or the
+ * pins, are classes in the modules of the highlighter/ directory. Each one
+ * takes from the highlighter only what it needs, e.g., the highlighted ranges.
+ *
+ * These modules have no dependencies on the extension, so they can be embedded
+ * in any page, e.g., in a web reader:
+ *
+ *     import {createHoverHighlighter} from './hover-highlighter.js';
+ *
+ *     const highlighter = createHoverHighlighter({
+ *       root: document.querySelector('article'),
+ *       colors: {word: {background: 'gold'}},
+ *     });
+ *     highlighter.start();
+ *
+ * The highlighter dispatches events at its root as the highlights change, see
+ * `dispatchChangeEvents()`, as the user pins text, see `PinLayer`, and as it
+ * captures words for the vocabulary, see `VocabularyCapture`, and as the
+ * occurrences of the highlighted word change, see `WordOccurrences`.
+ *
+ * The extension itself uses it through injected.js.
+ */
+
+import {AutoTheme} from './highlighter/auto-theme.js';
+import {COLOR_THEMES, DEFAULT_COLORS} from './highlighter/color-themes.js';
+import {
+  getLastNonEmptyTextNode,
+  getNextTextNode,
+  getNextTextNodeInTree,
+  getPreviousTextNodeInTree,
+  isInRoot,
+} from './highlighter/flat-tree.js';
+import {FocusMask} from './highlighter/focus-mask.js';
+import {GuidedReading} from './highlighter/guided-reading.js';
+import {HighlightOverlay} from './highlighter/highlight-overlay.js';
+import {
+  addHighlightRange,
+  CSS_HIGHLIGHT_BRACKET_KEY,
+  CSS_HIGHLIGHT_LINE_KEY,
+  CSS_HIGHLIGHT_SENTENCE_KEY,
+  CSS_HIGHLIGHT_WORD_KEY,
+  deleteHighlightRange,
+  getStyledHighlightKey,
+  HIGHLIGHT_API_STYLES,
+  HIGHLIGHT_STYLES,
+  OVERLAY_STYLES,
+  PIN_COLORS,
+} from './highlighter/highlights.js';
+import {CachedLineRange, LineDetector} from './highlighter/lines.js';
+import {Magnifier} from './highlighter/magnifier.js';
+import {isOwnNode, OverlayHost} from './highlighter/own-elements.js';
+import {PinLayer} from './highlighter/pin-layer.js';
+import {
+  getRangeText,
+  isInsideRect,
+  isPointOutsideRange,
+  isSameRange,
+  isWhitespaceOrZeroWidth,
+  scrollIntoViewIfNeeded,
+} from './highlighter/ranges.js';
+import {ReadAloud} from './highlighter/read-aloud.js';
+import {findSentenceRange, getBlockContainer} from './highlighter/sentences.js';
+import {adoptStyleSheet, releaseStyleSheet} from './highlighter/style-sheet.js';
+import {TextFieldMirror} from './highlighter/text-field-mirror.js';
+import {VocabularyCapture} from './highlighter/vocabulary-capture.js';
+import {WordEmphasis} from './highlighter/word-emphasis.js';
+import {WordOccurrences} from './highlighter/word-occurrences.js';
+
+export {COLOR_THEMES, HIGHLIGHT_STYLES, PIN_COLORS};
+
+/**
+ * The options of a highlighter. They are all optional.
+ *
+ * - root: Only the text inside this element is highlighted. Defaults to the
+ *   whole document.
+ * - granularities: Which of 'word', 'line' and 'sentence' are highlighted.
+ *   Defaults to the word and the line.
+ * - theme: The name of one of `COLOR_THEMES`, or 'auto' for colors that suit
+ *   the text under the highlighted line (see `AutoTheme`). Defaults to
+ *   'default'.
+ * - colors: The background and text colors of every granularity, as CSS
+ *   colors. They override the ones of the theme.
+ * - styles: The style of the highlight of every granularity: 'background'
+ *   (the default), one of `HIGHLIGHT_API_STYLES`, which are drawn in the
+ *   background color, or one of `OVERLAY_STYLES`.
+ * - extraWordDelimiters: Characters that separate words, on top of the
+ *   built-in ones. See `isDelimiter()`.
+ * - codeAware: Whether words are whole identifiers, brackets are matched, and
+ *   lines are source lines inside `<pre>` and `<code>` elements. See
+ *   `getCodeElement()`.
+ * - followTextCaret: Whether the highlights follow the text caret instead of
+ *   the pointer while a form field or rich text editor has the focus.
+ * - focusMask: The reading ruler, which dims the page except for a band
+ *   around the highlighted line. Null or absent hides it.
+ * - magnifier: A lens that shows the highlighted line enlarged by the given
+ *   zoom factor, in the given font family, or in the font of the line if
+ *   empty. See `Magnifier`. Null or absent hides it.
+ * - speech: Reading aloud with the browser's speech synthesis. The voice is
+ *   the `voiceURI` of a `SpeechSynthesisVoice`, or empty for the default voice.
+ *   Null or absent disables it.
+ * - guidedReading: Moving the highlighted line forward by itself, at the given
+ *   pace in words per minute, and the highlighted word too if `followWords` is
+ *   true. See `GuidedReading`. Null or absent disables it.
+ * - pins: Pinning words and lines with a modifier click, in the given color of
+ *   `PIN_COLORS`. Null or absent disables it, and hides the pins.
+ * - vocabulary: Capturing the words that the pointer dwells on for the given
+ *   time, in milliseconds, or that are Alt + clicked. See `VocabularyCapture`.
+ *   Null or absent disables it.
+ * - emphasis: Coloring the syllables of the highlighted word in turns, and
+ *   making the given number of first letters of every word of the highlighted
+ *   line look bolder (0 for none). See `WordEmphasis`. Null or absent disables
+ *   both.
+ * - occurrences: Highlighting the other occurrences of the highlighted word in
+ *   the page, in the given CSS color. See `WordOccurrences`. Null or absent
+ *   disables it.
+ *
+ * @typedef {{
+ *   root: (!Element|undefined),
+ *   granularities: (!Array<string>|undefined),
+ *   theme: (string|undefined),
+ *   colors: (!Object<string, {background: (string|undefined),
+ *                             text: (string|undefined)}>|undefined),
+ *   styles: (!Object<string, string>|undefined),
+ *   extraWordDelimiters: (string|undefined),
+ *   codeAware: (boolean|undefined),
+ *   followTextCaret: (boolean|undefined),
+ *   focusMask: (?{extraLines: number, opacity: number, blur: boolean}|
+ *               undefined),
+ *   magnifier: (?{zoom: number, font: string}|undefined),
+ *   speech: (?{voice: string, rate: number, pitch: number, dwellTime: number}|
+ *            undefined),
+ *   guidedReading: (?{wordsPerMinute: number, followWords: boolean}|
+ *                   undefined),
+ *   pins: (?{color: string}|undefined),
+ *   vocabulary: (?{dwellTime: number}|undefined),
+ *   emphasis: (?{syllables: boolean, firstLetters: number}|undefined),
+ *   occurrences: (?{color: string}|undefined),
+ * }} HoverHighlighterOptions
+ */
+
+/**
+ * A word or line pinned by the user. See `PinLayer`.
+ *
+ * - granularity: 'word' or 'line'.
+ * - color: A key of `PIN_COLORS`.
+ * - exact: The pinned text.
+ * - prefix, suffix: Some of the text right before and after it.
+ * - createdAt: When it was pinned, in milliseconds since the epoch.
+ *
+ * @typedef {{
+ *   id: string,
+ *   granularity: string,
+ *   color: string,
+ *   exact: string,
+ *   prefix: string,
+ *   suffix: string,
+ *   createdAt: number,
+ * }} Pin
+ */
+
+/**
+ * A highlighter, as returned by `createHoverHighlighter()`.
+ *
+ * @typedef {{
+ *   start: function(),
+ *   stop: function(),
+ *   update: function(!HoverHighlighterOptions),
+ *   destroy: function(),
+ *   setPins: function(!Array<!Pin>),
+ *   getPins: function(): !Array<!Pin>,
+ *   scrollToPin: function(string): boolean,
+ *   toggleKeyboardMode: function(),
+ *   toggleGuidedReading: function(),
+ *   jumpToOccurrence: function(number): boolean,
+ *   isStarted: boolean,
+ * }} HoverHighlighter
+ */
+
+/**
+ * Creates a highlighter for the text inside `options.root`. The highlighter
+ * does nothing until it's started.
+ *
+ * Several highlighters can live in the same page, as long as their roots don't
+ * overlap.
+ *
+ * @param {!HoverHighlighterOptions=} options
+ * @return {!HoverHighlighter}
+ */
+export function createHoverHighlighter(options = {}) {
+  const {root = document.documentElement, ...initialOptions} = options;
+
+  /**
+   * Returns true if the given character is a delimiter. The following chars are
+   * considered delimiters:
+   *
+   * - whitespace
+   * - underscore _
+   * - hyphens -, –, —
+   * - slash /
+   * - open and close parentheses ()
+   * - open and close square brackets []
+   * - open and close curly braces {}
+   * - comma ,
+   * - dot .
+   * - colon :
+   * - semicolon ;
+   * - question mark ?
+   * - exclamation mark !
+   * - ellipsis …
+   *
+   * Plus the extra delimiters chosen by the user in the options page.
+   *
+   * @param {string} char A string of length 1.
+   * @return {boolean}
+   */
+  function isDelimiter(char) {
+    return /[\s_\-—–/\(\)\{\}\[\],\.:;?!…]/.test(char) ||
+        extraWordDelimiters.includes(char);
+  }
+
+  /**
+   * The extra delimiters chosen by the user, as a string with one delimiter per
+   * character. Set by `applyOptions()`.
+   */
+  let extraWordDelimiters = '';
+
+  function isWordChar(char) {
+    return !isDelimiter(char);
+  }
+
+  /** The range that contains the word currently highlighted. */
+  const highlightWordRange = document.createRange();
+
+  /**
+   * Returns whether the given point lies outside the highlighted word. If
+   * there is no highlighted word, then returns true.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @return {boolean}
+   */
+  function isPointOutsideHighlightedWord(x, y) {
+    // A word can be hyphenated across multiple lines, so we must check all
+    // rectangles.
+    return isPointOutsideRange(highlightWordRange, x, y);
+  }
+
+  /**
+   * The maximum number of characters, in each direction from the caret, that
+   * we give to the word segmenter. Words are way shorter than this, and this
+   * keeps the `pointermove` handler fast on huge text nodes.
+   */
+  const MAX_WORD_SEARCH_LENGTH = 100;
+
+  /**
+   * The word segmenters, by language. Created lazily.
+   *
+   * @type {!Map<string, !Intl.Segmenter>}
+   */
+  const wordSegmenters = new Map();
+
+  /**
+   * Returns a word segmenter for the language of the given node, i.e., the
+   * `lang` attribute of its closest ancestor that has one. Returns null if the
+   * browser doesn't support `Intl.Segmenter`.
+   *
+   * @param {!Node} node
+   * @return {?Intl.Segmenter}
+   */
+  function getWordSegmenter(node) {
+    if (typeof Intl.Segmenter !== 'function') return null;
+
+    const lang = node.parentElement?.closest('[lang]')?.lang ??
+        document.documentElement.lang;
+    let segmenter = wordSegmenters.get(lang);
+    if (segmenter == null) {
+      try {
+        segmenter = new Intl.Segmenter(lang || undefined, {granularity: 'word'});
+      } catch {
+        // Malformed `lang` attribute. Use the default locale instead.
+        segmenter = new Intl.Segmenter(undefined, {granularity: 'word'});
+      }
+      wordSegmenters.set(lang, segmenter);
+    }
+    return segmenter;
+  }
+
+  /**
+   * Sets `highlightWordRange` to the word at the caret position. The word may
+   * span multiple consecutive/sibling text nodes (all from the same parent).
+   *
+   * Words are found with `Intl.Segmenter`, which knows how to split text
+   * without spaces (e.g., Chinese, Japanese and Thai) into words, and the
+   * resulting words are further split at the delimiters (see `isDelimiter()`).
+   * If the browser doesn't support `Intl.Segmenter`, only the delimiters are
+   * used; see `setHighlightWordRangeByDelimiters()`.
+   *
+   * @param {?CaretPosition} caretPosition
+   */
+  function setHighlightWordRange(caretPosition) {
+    if (caretPosition?.offsetNode.nodeType !== Node.TEXT_NODE) return;
+
+    isHighlightedWordSplit = isIdentifierSplitKeyHeld;
+    const codeElement = getCodeElement(caretPosition.offsetNode);
+    if (codeElement != null) {
+      setHighlightWordRangeInCode(caretPosition, codeElement);
+      return;
+    }
+
+    const segmenter = getWordSegmenter(caretPosition.offsetNode);
+    if (segmenter == null) {
+      setHighlightWordRangeByDelimiters(caretPosition);
+      return;
+    }
+
+    // Collect the run of sibling text nodes around the caret, including the
+    // empty ones, and their text.
+    const caretNode = caretPosition.offsetNode;
+    const nodes = [caretNode];
+    while (nodes[0].previousSibling?.nodeType === Node.TEXT_NODE) {
+      nodes.unshift(nodes[0].previousSibling);
+    }
+    const caretNodeIndex = nodes.length - 1;
+    while (nodes.at(-1).nextSibling?.nodeType === Node.TEXT_NODE) {
+      nodes.push(nodes.at(-1).nextSibling);
+    }
+
+    const nodeStarts = [];
+    let text = '';
+    for (const node of nodes) {
+      nodeStarts.push(text.length);
+      text += node.textContent;
+    }
+
+    // See the big comment below, inside `setHighlightWordRangeByDelimiters`,
+    // to understand in which situations can offset >= length. In those
+    // situations, the word may lie before or after the caret.
+    let caretIndex = nodeStarts[caretNodeIndex] + caretPosition.offset;
+    if (caretIndex >= text.length ||
+        caretPosition.offset >= caretNode.textContent.length &&
+            isDelimiter(text[caretIndex])) {
+      caretIndex--;
+    }
+    if (caretIndex < 0 || isDelimiter(text[caretIndex])) return;
+
+    const windowStart = Math.max(caretIndex - MAX_WORD_SEARCH_LENGTH, 0);
+    const windowText = text.slice(
+        windowStart, caretIndex + MAX_WORD_SEARCH_LENGTH);
+    const segment =
+        segmenter.segment(windowText).containing(caretIndex - windowStart);
+    if (!segment?.isWordLike) return;
+
+    // Split the segment further at the delimiters.
+    const segmentStart = windowStart + segment.index;
+    const segmentEnd = segmentStart + segment.segment.length;
+    let start = caretIndex;
+    while (start > segmentStart && isWordChar(text[start - 1])) start--;
+    let end = caretIndex + 1;
+    while (end < segmentEnd && isWordChar(text[end])) end++;
+
+    // Map the indexes back to text nodes. Like the delimiters logic, the start
+    // is in the first node that contains the word's first character, and the
+    // end is in the farthest node, even if that is an empty text node.
+    let startNodeIndex = 0;
+    while (start >= nodeStarts[startNodeIndex] +
+                        nodes[startNodeIndex].textContent.length) {
+      startNodeIndex++;
+    }
+    let endNodeIndex = nodes.length - 1;
+    while (end < nodeStarts[endNodeIndex]) endNodeIndex--;
+
+    highlightWordRange.setStart(
+        nodes[startNodeIndex], start - nodeStarts[startNodeIndex]);
+    highlightWordRange.setEnd(
+        nodes[endNodeIndex], end - nodeStarts[endNodeIndex]);
+  }
+
+  /**
+   * Like `setHighlightWordRange()`, but it only uses the delimiters to find the
+   * word. The word may span multiple consecutive/sibling text nodes (all from
+   * the same parent).
+   *
+   * @param {!CaretPosition} caretPosition Its node must be a text node.
+   */
+  function setHighlightWordRangeByDelimiters(caretPosition) {
+    // Presupposition: the text node will never be empty, and offset >= 0.
+
+    let endOffset;
+    if (caretPosition.offset >= caretPosition.offsetNode.textContent.length) {
+      // This condition is true in at least two situations:
+      // 1. A paragraph's last word ends in the middle of the screen, but
+      //    because the paragraph is a block element, the paragraph element
+      //    actually extends to the end of the screen, and the mouse is hovering
+      //    over the empty space after the paragraph ended.
+      // 2. There is an empty text node in between letters of a word, and the
+      //    mouse hovers in one of such letters.
+      endOffset = caretPosition.offsetNode.textContent.length;
+    } else if (isDelimiter(caretPosition.offsetNode
+                               .textContent[caretPosition.offset])) {
+      return;
+    } else {
+      endOffset = caretPosition.offset + 1;
+    }
+
+    // First, we'll find the exclusive position of the word. This logic will
+    // find the farthest exclusive node, even if that is an empty text node.
+    let endNode = caretPosition.offsetNode;
+    while (true) {
+      // Loop through the end of the current text node.
+      while (endOffset < endNode.textContent.length &&
+             isWordChar(endNode.textContent[endOffset])) {
+        endOffset++;
+      }
+
+      // If we didn't finish looping the text node, that's because we bumped
+      // into a delimiter, so we have found the word's end position. OTOH, if we
+      // did finish looping the text node but the following node is not a text
+      // node, then there's nothing more to search, so we have also found the
+      // word's end position.
+      if (endOffset < endNode.textContent.length ||
+          endNode.nextSibling?.nodeType !== Node.TEXT_NODE) {
+        break;
+      }
+
+      // The next node is a text node. We'll continue the search over there.
+      endNode = endNode.nextSibling;
+      endOffset = 0;
+    }
+
+    // Now, we'll find the inclusive position of the word.
+    let startNode = caretPosition.offsetNode;
+    let startOffset = caretPosition.offset;
+    while (true) {
+      // Loop through the beginning of the current text node.
+      while (startOffset > 0 &&
+             isWordChar(startNode.textContent[startOffset - 1])) {
+        startOffset--;
+      }
+
+      // Check if we arrived to the beginning of the text node in the prior
+      // loop. If we didn't, then it means that there was a delimiter, thus, we
+      // have already found the start of the word.
+      if (startOffset > 0) break;
+
+      // Skip all the previous empty sibling text nodes.
+      let prevNode = startNode;
+      do {
+        prevNode = prevNode.previousSibling;
+      } while (prevNode?.nodeType === Node.TEXT_NODE &&
+               prevNode.textContent === '');
+
+      // If there are no more previous siblings, or we bumped into a non-text
+      // node sibling, or we bumped into a text node sibling but its last char
+      // was a delimiter, then there's nothing more to search.
+      if (prevNode?.nodeType !== Node.TEXT_NODE ||
+          isDelimiter(prevNode.textContent[prevNode.textContent.length - 1])) {
+        break;
+      }
+
+      // Move to that previous non-empty sibling text node to look for the start
+      // of the word in there.
+      startOffset = prevNode.textContent.length - 1;
+      startNode = prevNode;
+    }
+
+    highlightWordRange.setStart(startNode, startOffset);
+    highlightWordRange.setEnd(endNode, endOffset);
+  }
+
+  // Code-aware mode: inside `<pre>` and `<code>` elements, the words are whole
+  // identifiers, e.g., `call_method` or `parseHTMLString`, rather than what
+  // `isDelimiter()` splits, and holding Shift steps down to their snake_case
+  // or camelCase parts. Hovering a bracket highlights it together with the
+  // bracket that matches it. And in preformatted blocks, the lines are the
+  // source lines, i.e., the text between line breaks, even if the block wraps
+  // them.
+
+  /** Whether the code-aware mode is on. Set by `applyOptions()`. */
+  let isCodeAware = false;
+
+  /** Whether Shift is held, which splits the identifiers into their parts. */
+  let isIdentifierSplitKeyHeld = false;
+
+  /** Whether Shift was held when the highlighted word was found. */
+  let isHighlightedWordSplit = false;
+
+  /**
+   * The maximum number of characters, in each direction from the hovered
+   * bracket, where we look for the bracket that matches it.
+   */
+  const MAX_BRACKET_SEARCH_LENGTH = 5000;
+
+  /**
+   * The maximum number of characters, in each direction from the caret, of a
+   * source line.
+   */
+  const MAX_SOURCE_LINE_LENGTH = 1000;
+
+  /** Every bracket and the one that matches it. */
+  const MATCHING_BRACKETS = Object.freeze({
+    '(': ')',
+    '[': ']',
+    '{': '}',
+    ')': '(',
+    ']': '[',
+    '}': '{',
+  });
+
+  /**
+   * Matches the parts of an identifier: runs of lowercase letters and digits,
+   * optionally after an uppercase letter, and runs of uppercase letters, which
+   * leave out the uppercase letter that starts the next part. E.g.,
+   * "parseHTMLString2" has "parse", "HTML" and "String2". The snake_case
+   * underscores are left out too.
+   */
+  const IDENTIFIER_PART_REGEXP =
+      /\p{Lu}+(?=\p{Lu}\p{Ll})|\p{Lu}?[^\p{Lu}_$]+|\p{Lu}+/gu;
+
+  /**
+   * @param {string} char A string of length 1.
+   * @return {boolean} Whether the character can be part of an identifier in
+   *     most programming languages.
+   */
+  function isIdentifierChar(char) {
+    return /[\p{L}\p{N}_$]/u.test(char);
+  }
+
+  /**
+   * @param {!Node} node
+   * @return {?Element} The code element that contains the given node, i.e.,
+   *     the closest `<pre>` or else the closest `<code>`, or null if there's
+   *     none or the code-aware mode is off.
+   */
+  function getCodeElement(node) {
+    if (!isCodeAware) return null;
+    const parent = node.parentElement;
+    return parent?.closest('pre') ?? parent?.closest('code') ?? null;
+  }
+
+  /**
+   * @param {!Element} element
+   * @return {boolean} Whether the line breaks of the text of the given element
+   *     are kept, so that it has source lines.
+   */
+  function isPreformatted(element) {
+    return /^(pre|break-spaces)/.test(getComputedStyle(element).whiteSpace);
+  }
+
+  /**
+   * Returns the text around the given position, up to `maxLength` characters
+   * in each direction, without leaving the given element, together with the
+   * index of the position in that text and a function that maps an index in
+   * that text back to a position in the DOM.
+   *
+   * @param {!Element} element
+   * @param {{offsetNode: !Text, offset: number}} position
+   * @param {number} maxLength
+   * @return {{
+   *   text: string,
+   *   caretIndex: number,
+   *   toPosition: function(number): {offsetNode: !Text, offset: number},
+   * }}
+   */
+  function getTextAround(element, position, maxLength) {
+    const {offsetNode, offset} = position;
+    const caretSegment = {
+      node: offsetNode,
+      start: Math.max(offset - maxLength, 0),
+      end: Math.min(offset + maxLength, offsetNode.data.length),
+    };
+    const segments = [caretSegment];
+
+    let lengthBefore = offset - caretSegment.start;
+    for (let node = getPreviousTextNodeInTree(offsetNode, root);
+         node != null && lengthBefore < maxLength && element.contains(node);
+         node = getPreviousTextNodeInTree(node, root)) {
+      const start = Math.max(node.data.length - (maxLength - lengthBefore), 0);
+      segments.unshift({node, start, end: node.data.length});
+      lengthBefore += node.data.length - start;
+    }
+    let lengthAfter = caretSegment.end - offset;
+    for (let node = getNextTextNodeInTree(offsetNode, root);
+         node != null && lengthAfter < maxLength && element.contains(node);
+         node = getNextTextNodeInTree(node, root)) {
+      const end = Math.min(maxLength - lengthAfter, node.data.length);
+      segments.push({node, start: 0, end});
+      lengthAfter += end;
+    }
+
+    let text = '';
+    const textStarts = segments.map((segment) => {
+      const textStart = text.length;
+      text += segment.node.data.slice(segment.start, segment.end);
+      return textStart;
+    });
+    const toPosition = (index) => {
+      let i = segments.length - 1;
+      while (i > 0 && textStarts[i] > index) i--;
+      const {node, start} = segments[i];
+      return {offsetNode: node, offset: start + index - textStarts[i]};
+    };
+    return {text, caretIndex: lengthBefore, toPosition};
+  }
+
+  /**
+   * Sets the given range to the given part of a text from `getTextAround()`.
+   *
+   * @param {!Range} range
+   * @param {function(number): {offsetNode: !Text, offset: number}} toPosition
+   * @param {number} start
+   * @param {number} end Should be greater than `start`.
+   */
+  function setRangeFromText(range, toPosition, start, end) {
+    const startPosition = toPosition(start);
+    // Right after the last character, even if it ends its text node.
+    const endPosition = toPosition(end - 1);
+    range.setStart(startPosition.offsetNode, startPosition.offset);
+    range.setEnd(endPosition.offsetNode, endPosition.offset + 1);
+  }
+
+  /**
+   * Like `setHighlightWordRange()`, for the code-aware mode: sets
+   * `highlightWordRange` to the identifier at the caret position (or to its
+   * part, while Shift is held), or to the bracket there.
+   *
+   * @param {!CaretPosition} caretPosition Its node must be a text node.
+   * @param {!Element} codeElement See `getCodeElement()`.
+   */
+  function setHighlightWordRangeInCode(caretPosition, codeElement) {
+    const {text, caretIndex: index, toPosition} = getTextAround(
+        codeElement, caretPosition, MAX_WORD_SEARCH_LENGTH);
+    const isWordOrBracketChar = (char) =>
+        isIdentifierChar(char) || Object.hasOwn(MATCHING_BRACKETS, char);
+
+    // See `setHighlightWordRange()` about the offsets at the end of the node.
+    let caretIndex = index;
+    if (caretIndex >= text.length ||
+        caretPosition.offset >= caretPosition.offsetNode.data.length &&
+            !isWordOrBracketChar(text[caretIndex])) {
+      caretIndex--;
+    }
+    if (caretIndex < 0 || !isWordOrBracketChar(text[caretIndex])) return;
+
+    // The bracket is highlighted as the word, and the bracket that matches it
+    // follows. See `updateMatchingBracket()`.
+    if (!isIdentifierChar(text[caretIndex])) {
+      setRangeFromText(
+          highlightWordRange, toPosition, caretIndex, caretIndex + 1);
+      return;
+    }
+
+    let start = caretIndex;
+    while (start > 0 && isIdentifierChar(text[start - 1])) start--;
+    let end = caretIndex + 1;
+    while (end < text.length && isIdentifierChar(text[end])) end++;
+
+    if (isIdentifierSplitKeyHeld) {
+      const part =
+          [...text.slice(start, end).matchAll(IDENTIFIER_PART_REGEXP)].find(
+              (match) => start + match.index + match[0].length > caretIndex);
+      // The caret is on an underscore between the parts.
+      if (part == null || start + part.index > caretIndex) return;
+      end = start + part.index + part[0].length;
+      start += part.index;
+    }
+    setRangeFromText(highlightWordRange, toPosition, start, end);
+  }
+
+  /**
+   * Like `setHighlightLineRange()`, for the code-aware mode: sets
+   * `highlightLineRange` to the source line at the caret position.
+   *
+   * @param {!CaretPosition} caretPosition Its node must be a text node.
+   * @param {!Element} codeElement See `getCodeElement()`. Should be
+   *     preformatted.
+   */
+  function setHighlightLineRangeInCode(caretPosition, codeElement) {
+    const {text, caretIndex, toPosition} = getTextAround(
+        codeElement, caretPosition, MAX_SOURCE_LINE_LENGTH);
+
+    // Past the end of the line, the caret is at its line break.
+    let index = caretIndex;
+    if (index >= text.length || text[index] === '\n') index--;
+    if (index < 0 || text[index] === '\n') return;
+
+    const start = text.lastIndexOf('\n', index) + 1;
+    const lineBreak = text.indexOf('\n', index);
+    const end = lineBreak === -1 ? text.length : lineBreak;
+    setRangeFromText(highlightLineRange, toPosition, start, end);
+  }
+
+  /**
+   * Returns which characters of the given source code lie inside string
+   * literals, i.e., between a pair of ', " or ` quotes. The first two end at
+   * the end of the line too, and backslashes escape the next character. This
+   * doesn't know the syntax of any language, but it's enough to skip the
+   * brackets inside strings.
+   *
+   * @param {string} text Should start at the start of a line.
+   * @return {!Array<boolean>}
+   */
+  function findStringLiterals(text) {
+    const isInString = new Array(text.length).fill(false);
+    let quote = '';
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote === '') {
+        if (char === '\'' || char === '"' || char === '`') quote = char;
+        continue;
+      }
+      isInString[i] = true;
+      if (char === '\\') {
+        i++;
+        if (i < text.length) isInString[i] = true;
+      } else if (char === quote || char === '\n' && quote !== '`') {
+        quote = '';
+      }
+    }
+    return isInString;
+  }
+
+  /**
+   * @param {!Range} range
+   * @return {?{offsetNode: !Text, offset: number}} The bracket that matches
+   *     the bracket in the given range, if the range is one bracket of code
+   *     outside of strings, and the matching one is found.
+   */
+  function findMatchingBracket(range) {
+    const node = range.startContainer;
+    if (range.collapsed || node !== range.endContainer ||
+        range.endOffset - range.startOffset !== 1) {
+      return null;
+    }
+    const bracket = node.data[range.startOffset];
+    const codeElement = getCodeElement(node);
+    if (!Object.hasOwn(MATCHING_BRACKETS, bracket) || codeElement == null) {
+      return null;
+    }
+
+    const {text, caretIndex, toPosition} = getTextAround(
+        codeElement, {offsetNode: node, offset: range.startOffset},
+        MAX_BRACKET_SEARCH_LENGTH);
+    // If the text doesn't start at the start of the code, we skip to the first
+    // line break, so that the strings are found from the start of a line.
+    const firstLineBreak = text.indexOf('\n');
+    const scanStart =
+        caretIndex >= MAX_BRACKET_SEARCH_LENGTH && firstLineBreak < caretIndex ?
+        firstLineBreak + 1 :
+        0;
+    const isInString = findStringLiterals(text.slice(scanStart));
+    if (isInString[caretIndex - scanStart]) return null;
+
+    const matchingBracket = MATCHING_BRACKETS[bracket];
+    const direction = '([{'.includes(bracket) ? 1 : -1;
+    let depth = 0;
+    for (let i = caretIndex; scanStart <= i && i < text.length;
+         i += direction) {
+      if (isInString[i - scanStart]) continue;
+      if (text[i] === bracket) {
+        depth++;
+      } else if (text[i] === matchingBracket) {
+        depth--;
+        if (depth === 0) return toPosition(i);
+      }
+    }
+    return null;
+  }
+
+  /** The bracket that matches the highlighted one, if any. */
+  const matchingBracketRange = document.createRange();
+
+  /**
+   * Highlights the bracket that matches the highlighted word, if that is a
+   * bracket. Called every time the highlights change.
+   */
+  function updateMatchingBracket() {
+    deleteHighlightRange(CSS_HIGHLIGHT_BRACKET_KEY, matchingBracketRange);
+    const position = findMatchingBracket(highlightWordRange);
+    if (position == null) return;
+    matchingBracketRange.setStart(position.offsetNode, position.offset);
+    matchingBracketRange.setEnd(position.offsetNode, position.offset + 1);
+    addHighlightRange(CSS_HIGHLIGHT_BRACKET_KEY, matchingBracketRange);
+  }
+
+  /**
+   * Finds the word under the pointer again when Shift is pressed or released,
+   * so that the highlight steps down to the part of the identifier, or back
+   * up to the whole identifier, without moving the pointer.
+   */
+  const identifierSplitKeyHandler = (event) => {
+    if (event.key !== 'Shift' || !isCodeAware) return;
+    isIdentifierSplitKeyHeld = event.type === 'keydown';
+    if (lastHoverEvent != null && !isPointerIgnored()) {
+      scheduleHighlightAtPointer(lastHoverEvent);
+    }
+  };
+
+  // Line detection. See highlighter/lines.js.
+
+  /** Finds the lines of the text inside `root`. */
+  const lineDetector = new LineDetector(root);
+
+  /** The range that contains the line currently highlighted. */
+  const highlightLineRange = new CachedLineRange(lineDetector);
+
+  function isPointOutsideHighlightedLine(x, y) {
+    return highlightLineRange.collapsed ||
+        !isInsideRect(highlightLineRange.getBoundingClientRect(), x, y);
+  }
+
+  /** Forgets the lines found so far in all the text nodes. */
+  const layoutChangeHandler = () => {
+    lineDetector.reset();
+  };
+
+  const LAYOUT_OBSERVER_OPTIONS = {
+    attributes: true,
+    characterData: true,
+    childList: true,
+    subtree: true,
+  };
+
+  /**
+   * @param {!MutationRecord} record
+   * @return {boolean} Whether the record is about one of our own elements,
+   *     including adding it to or removing it from the page (see
+   *     `OverlayHost`).
+   */
+  function isOwnRecord(record) {
+    if (isOwnNode(record.target)) return true;
+    const nodes = [...record.addedNodes, ...record.removedNodes];
+    return record.type === 'childList' && nodes.length > 0 &&
+        nodes.every(isOwnNode);
+  }
+
+  /**
+   * Watches the changes to the page that may change its layout, or the text
+   * that we highlight. Our own elements change all the time, e.g., the reading
+   * ruler, but they don't change the layout of the text.
+   */
+  const layoutObserver = new MutationObserver((records) => {
+    const pageRecords = records.filter((record) => !isOwnRecord(record));
+    if (pageRecords.length === 0) return;
+
+    rootText = null;
+    layoutChangeHandler();
+    if (pageRecords.some(isHighlightedTextChange)) refreshHighlights();
+    pinLayer.scheduleAnchoring();
+    wordOccurrences.handleMutations(pageRecords);
+  });
+
+  /**
+   * Sets `highlightLineRange` to the line at the caret position. See
+   * `LineDetector`.
+   *
+   * @param {?CaretPosition} caretPosition The position of the caret.
+   * @param {number} mouseX The x coordinate of the cursor.
+   * @param {number} mouseY The y coordinate of the cursor.
+   */
+  function setHighlightLineRange(caretPosition, mouseX, mouseY) {
+    if (caretPosition?.offsetNode.nodeType !== Node.TEXT_NODE) return;
+
+    const codeElement = getCodeElement(caretPosition.offsetNode);
+    if (codeElement != null && isPreformatted(codeElement)) {
+      setHighlightLineRangeInCode(caretPosition, codeElement);
+      return;
+    }
+
+    lineDetector.findLine(highlightLineRange, caretPosition, mouseX, mouseY);
+  }
+
+  /**
+   * The shadow roots that adopted our stylesheet (see `adoptStyleSheet()`).
+   * Stylesheets from the document don't apply inside shadow trees, so every
+   * shadow root where we highlight something needs its own copy of the rules.
+   */
+  const styledShadowRoots = new Set();
+
+  /**
+   * Makes the shadow root that contains the given node, if any, adopt our
+   * stylesheet.
+   *
+   * @param {!Node} node
+   */
+  function styleShadowRoot(node) {
+    const root = node.getRootNode();
+    if (!(root instanceof ShadowRoot) || styledShadowRoots.has(root)) return;
+
+    adoptStyleSheet(root);
+    styledShadowRoots.add(root);
+    // Its earlier changes went unnoticed.
+    rootText = null;
+    // The observer of the document doesn't see the changes in shadow trees.
+    layoutObserver.observe(root, LAYOUT_OBSERVER_OPTIONS);
+  }
+
+  /** Holds the fixed overlays of this highlighter over the page. */
+  const overlayHost = new OverlayHost();
+
+  /** Undoes all the `styleShadowRoot()` calls. */
+  function unstyleShadowRoots() {
+    for (const root of styledShadowRoots) releaseStyleSheet(root);
+    styledShadowRoots.clear();
+  }
+
+  /**
+   * Like `document.caretPositionFromPoint()`, but it also finds positions
+   * inside the open shadow roots under the given point.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @return {?CaretPosition}
+   */
+  function getCaretPosition(x, y) {
+    const shadowRoots = [];
+    let element = document.elementFromPoint(x, y);
+    while (element?.shadowRoot != null) {
+      shadowRoots.push(element.shadowRoot);
+      const innerElement = element.shadowRoot.elementFromPoint(x, y);
+      // The point may be over the host itself, e.g., over its padding.
+      if (innerElement === element) break;
+      element = innerElement;
+    }
+
+    const caretPosition = TextFieldMirror.canMirror(element) ?
+        textFieldMirror.caretPositionFromPoint(element, x, y) :
+        document.caretPositionFromPoint(x, y, {shadowRoots});
+    if (caretPosition != null) styleShadowRoot(caretPosition.offsetNode);
+    return caretPosition;
+  }
+
+  // Sentence highlighting. See highlighter/sentences.js.
+
+  /** The range that contains the sentence currently highlighted. */
+  const highlightSentenceRange = document.createRange();
+
+  /**
+   * Sets `highlightSentenceRange` to the sentence at the caret position.
+   *
+   * @param {?CaretPosition} caretPosition
+   */
+  function setHighlightSentenceRange(caretPosition) {
+    const sentenceRange = findSentenceRange(caretPosition, root);
+    if (sentenceRange == null) return;
+    highlightSentenceRange.setStart(
+        sentenceRange.startContainer, sentenceRange.startOffset);
+    highlightSentenceRange.setEnd(
+        sentenceRange.endContainer, sentenceRange.endOffset);
+  }
+
+  // The overlays over the page: the reading ruler (see `FocusMask`), the
+  // highlight styles that the Highlight API can't draw (see `HighlightOverlay`)
+  // and the magnifier lens (see `Magnifier`).
+
+  const focusMask = new FocusMask(overlayHost);
+
+  /** The range of every granularity. */
+  const highlightRanges = Object.freeze({
+    sentence: highlightSentenceRange,
+    line: highlightLineRange,
+    word: highlightWordRange,
+  });
+
+  const highlightOverlay = new HighlightOverlay(
+      {overlayHost, root, highlightRanges, getContainingElement});
+
+  const magnifier = new Magnifier({
+    overlayHost,
+    root,
+    wordRange: highlightWordRange,
+    lineRange: highlightLineRange,
+    getContainingElement,
+    // In keyboard mode and guided reading, the pointer is somewhere else.
+    getPointer: () =>
+        lastHoverEvent != null && !isKeyboardModeOn && !guidedReading.isOn ?
+        lastHoverEvent :
+        null,
+  });
+
+  // Keyboard mode: while it's on, the arrow keys move the highlighted word and
+  // line through the document in reading order, and the pointer is ignored.
+
+  let isKeyboardModeOn = false;
+
+  /**
+   * @param {string} char A string of length 1.
+   * @return {boolean}
+   */
+  function isVisibleWordChar(char) {
+    return isWordChar(char) && !isWhitespaceOrZeroWidth(char);
+  }
+
+  /**
+   * Returns the position of the first word character at or after the given
+   * position, in document order, or null if there is none. The returned object
+   * has the same shape as a `CaretPosition`, so it can be passed to
+   * `setHighlightWordRange()` and `setHighlightLineRange()`.
+   *
+   * This function is symmetrical to `findPreviousWordChar()`.
+   *
+   * @param {?Text} node
+   * @param {number} offset
+   * @return {?{offsetNode: !Text, offset: number}}
+   */
+  function findNextWordChar(node, offset) {
+    let currentNode = node;
+    let currentOffset = offset;
+    while (currentNode != null) {
+      const text = currentNode.textContent;
+      for (; currentOffset < text.length; currentOffset++) {
+        if (isVisibleWordChar(text[currentOffset])) {
+          return {offsetNode: currentNode, offset: currentOffset};
+        }
+      }
+      currentNode = getNextTextNodeInTree(currentNode, root);
+      currentOffset = 0;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the position of the last word character before the given position,
+   * in document order, or null if there is none.
+   *
+   * This function is symmetrical to `findNextWordChar()`.
+   *
+   * @param {?Text} node
+   * @param {number} offset
+   * @return {?{offsetNode: !Text, offset: number}}
+   */
+  function findPreviousWordChar(node, offset) {
+    let currentNode = node;
+    let currentOffset = offset;
+    while (currentNode != null) {
+      const text = currentNode.textContent;
+      while (currentOffset > 0) {
+        if (isVisibleWordChar(text[--currentOffset])) {
+          return {offsetNode: currentNode, offset: currentOffset};
+        }
+      }
+      currentNode = getPreviousTextNodeInTree(currentNode, root);
+      currentOffset = currentNode?.textContent.length;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the position of the first word character that is not above the
+   * viewport, or null if there is none.
+   *
+   * @return {?{offsetNode: !Text, offset: number}}
+   */
+  function findFirstVisibleWordChar() {
+    const range = document.createRange();
+    let position = findNextWordChar(getNextTextNode(root), 0);
+    while (position != null) {
+      const {offsetNode, offset} = position;
+
+      // Optimization: skip whole text nodes that are above the viewport.
+      range.selectNodeContents(offsetNode);
+      if (range.getBoundingClientRect().bottom <= 0) {
+        position = findNextWordChar(offsetNode, offsetNode.textContent.length);
+        continue;
+      }
+
+      range.setStart(offsetNode, offset);
+      range.setEnd(offsetNode, offset + 1);
+      if (range.getBoundingClientRect().bottom > 0) return position;
+      position = findNextWordChar(offsetNode, offset + 1);
+    }
+    return null;
+  }
+
+  /**
+   * Highlights the word at the given position and its line, scrolling them
+   * into view if needed.
+   *
+   * @param {{offsetNode: !Text, offset: number}} position Should point to a
+   *     word character.
+   * @param {boolean=} scrollIntoView
+   * @param {boolean=} withWord False to highlight only the line and the
+   *     sentence. The word is still highlighted if its line isn't found, so
+   *     that the user sees where the position is.
+   */
+  function highlightWordAt(position, scrollIntoView = true, withWord = true) {
+    styleShadowRoot(position.offsetNode);
+    setHighlightWordRange(position);
+    if (scrollIntoView) scrollIntoViewIfNeeded(highlightWordRange);
+
+    // `setHighlightLineRange()` wants to know where the pointer is. We pretend
+    // it's in the middle of the character at `position`.
+    const charRange = document.createRange();
+    charRange.setStart(position.offsetNode, position.offset);
+    charRange.setEnd(position.offsetNode, position.offset + 1);
+    const charRect = charRange.getBoundingClientRect();
+
+    highlightLineRange.collapse(false);
+    setHighlightLineRange(
+        position, (charRect.left + charRect.right) / 2,
+        (charRect.top + charRect.bottom) / 2);
+
+    highlightSentenceRange.collapse(false);
+    setHighlightSentenceRange(position);
+
+    if (!withWord && !highlightLineRange.collapsed) {
+      highlightWordRange.collapse(false);
+    }
+
+    focusMask.follow(highlightLineRange);
+    followHighlights();
+  }
+
+  /**
+   * Moves the highlighted word one step in the given direction.
+   *
+   * @param {string} direction One of 'nextWord', 'previousWord', 'nextLine' or
+   *     'previousLine'.
+   */
+  function moveKeyboardCursor(direction) {
+    if (highlightWordRange.startContainer.nodeType !== Node.TEXT_NODE) {
+      // Nothing highlighted yet, e.g., the user scrolled away and the page
+      // removed the highlighted text. Start over.
+      const position = findFirstVisibleWordChar();
+      if (position != null) highlightWordAt(position);
+      return;
+    }
+
+    // The line might not have been found, e.g., if the word is hyphenated. In
+    // that case, we move line by line as if the word was the whole line.
+    const lineRange =
+        highlightLineRange.collapsed ? highlightWordRange : highlightLineRange;
+
+    let position;
+    switch (direction) {
+      case 'nextWord':
+        position = findNextWordChar(
+            highlightWordRange.endContainer, highlightWordRange.endOffset);
+        break;
+      case 'previousWord':
+        position = findPreviousWordChar(
+            highlightWordRange.startContainer, highlightWordRange.startOffset);
+        break;
+      case 'nextLine':
+        position =
+            findNextWordChar(lineRange.endContainer, lineRange.endOffset);
+        break;
+      case 'previousLine': {
+        // Find the previous line by highlighting the last word in it, and then
+        // move to its first word.
+        const lastWordPosition =
+            findPreviousWordChar(lineRange.startContainer, lineRange.startOffset);
+        if (lastWordPosition == null) return;
+        highlightWordAt(lastWordPosition);
+        position = highlightLineRange.collapsed ?
+            lastWordPosition :
+            findNextWordChar(
+                highlightLineRange.startContainer,
+                highlightLineRange.startOffset);
+        break;
+      }
+    }
+
+    if (position != null) highlightWordAt(position);
+  }
+
+  /**
+   * @param {boolean} isOn
+   * @param {?{offsetNode: !Text, offset: number}=} position Where to start
+   *     when turning it on. By default, at the first word in the viewport.
+   */
+  function setKeyboardMode(isOn, position = undefined) {
+    isKeyboardModeOn = isOn;
+    guidedReading.stop();
+    highlightWordRange.collapse(false);
+    highlightLineRange.collapse(false);
+    highlightSentenceRange.collapse(false);
+
+    if (isOn) {
+      position ??= findFirstVisibleWordChar();
+      if (position != null) highlightWordAt(position);
+    }
+    followHighlights();
+  }
+
+  /** @type {!Object<string, string>} */
+  const KEYBOARD_MODE_DIRECTIONS = {
+    ArrowRight: 'nextWord',
+    ArrowLeft: 'previousWord',
+    ArrowDown: 'nextLine',
+    ArrowUp: 'previousLine',
+  };
+
+  /**
+   * @param {!EventTarget} target
+   * @return {boolean} Whether the target is a form field or rich text editor,
+   *     where the arrow keys must keep their default behavior.
+   */
+  function isEditable(target) {
+    return target.isContentEditable ||
+        ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+  }
+
+  /**
+   * The directions in which Alt + the arrow keys jump between the occurrences
+   * of the highlighted word. See `jumpToOccurrence()`.
+   *
+   * @type {!Object<string, number>}
+   */
+  const OCCURRENCE_JUMP_DIRECTIONS = {
+    ArrowDown: 1,
+    ArrowUp: -1,
+  };
+
+  const keyDownHandler = (event) => {
+    if (event.key === 'Escape' && readAloud.isSpeaking) {
+      readAloud.stop();
+      return;
+    }
+
+    if (event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey &&
+        Object.hasOwn(OCCURRENCE_JUMP_DIRECTIONS, event.key) &&
+        !isEditable(event.target) &&
+        jumpToOccurrence(OCCURRENCE_JUMP_DIRECTIONS[event.key])) {
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey ||
+        isEditable(event.target)) {
+      return;
+    }
+
+    if (isKeyboardModeOn) {
+      if (event.key === 'Escape') {
+        setKeyboardMode(false);
+      } else if (Object.hasOwn(KEYBOARD_MODE_DIRECTIONS, event.key)) {
+        moveKeyboardCursor(KEYBOARD_MODE_DIRECTIONS[event.key]);
+      } else {
+        return;
+      }
+    } else if (guidedReading.isOn) {
+      if (event.key === ' ') {
+        guidedReading.togglePause();
+      } else if (event.key === 'Escape') {
+        setGuidedReading(false);
+      } else {
+        return;
+      }
+    } else {
+      return;
+    }
+    // Don't let the page scroll or react to the key in any other way.
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  // Read aloud: speaks the hovered word after the pointer dwells on it, and
+  // the hovered line or paragraph on a modifier click. While a line or
+  // paragraph is being read, the word highlight follows the speech, and the
+  // pointer is ignored.
+  //
+  // To keep things predictable, pointer movement never interrupts the reading
+  // of a line or paragraph. Only these interrupt the current speech:
+  // - Another modifier click, which starts reading the new line or paragraph.
+  // - Dwelling on another word, but only if a single word is being spoken.
+  // - The Escape key.
+
+  const readAloud = new ReadAloud(getLanguage);
+
+  /**
+   * Reads aloud the line (or, if `wholeParagraph` is true, the paragraph) at
+   * the given point, moving the word highlight as it goes.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} wholeParagraph
+   */
+  function readAloudAt(x, y, wholeParagraph) {
+    const caretPosition = getCaretPosition(x, y);
+    if (caretPosition?.offsetNode.nodeType !== Node.TEXT_NODE) return;
+
+    const range = document.createRange();
+    if (wholeParagraph) {
+      const caretNode = caretPosition.offsetNode;
+      const block =
+          getBlockContainer(caretNode, root) ?? caretNode.getRootNode();
+      const firstTextNode = getNextTextNode(block);
+      const lastTextNode = getLastNonEmptyTextNode(block);
+      if (firstTextNode?.getRootNode() !== caretNode.getRootNode() ||
+          lastTextNode?.getRootNode() !== caretNode.getRootNode()) {
+        // The paragraph begins or ends inside a shadow tree. Not supported.
+        return;
+      }
+      range.setStart(firstTextNode, 0);
+      range.setEnd(lastTextNode, lastTextNode.textContent.length);
+    } else {
+      highlightLineRange.collapse(false);
+      setHighlightLineRange(caretPosition, x, y);
+      if (highlightLineRange.collapsed) return;
+      range.setStart(
+          highlightLineRange.startContainer, highlightLineRange.startOffset);
+      range.setEnd(
+          highlightLineRange.endContainer, highlightLineRange.endOffset);
+    }
+
+    const {text, toPosition} = getRangeText(range, root);
+    const lang = getLanguage(caretPosition.offsetNode);
+    readAloud.speak(text, lang, (index) => {
+      highlightWordAt(toPosition(index));
+    });
+  }
+
+  // Guided reading: the highlighted line, and optionally the word, moves
+  // forward on its own at a set pace in words per minute, scrolling the page
+  // as needed, so that the reader doesn't need the pointer at all. It starts
+  // at the line under the pointer, or else at the top of the visible text.
+  //
+  // Moving the pointer, clicking or pressing Space pauses it, and Space
+  // resumes it. Escape stops it. While it's on, even when paused, the pointer
+  // is ignored, so that the highlights stay where the reading is.
+  //
+  // It walks the text like the keyboard mode does (see `findNextWordChar()`),
+  // so it also skips the text of the elements that don't occupy space.
+
+  const guidedReading = new GuidedReading({
+    root,
+    wordRange: highlightWordRange,
+    lineRange: highlightLineRange,
+    highlightWordAt,
+    findNextWordChar,
+    findFirstVisibleWordChar,
+    isLineHighlighted: () => enabledGranularities.has('line'),
+    isVisibleWordChar,
+  });
+
+  /**
+   * Returns the position where guided reading starts: the first word of the
+   * line under the pointer, or else the first word at the top of the viewport.
+   *
+   * @return {?{offsetNode: !Text, offset: number}}
+   */
+  function findGuidedReadingStart() {
+    if (lastHoverEvent != null) {
+      const {x, y} = lastHoverEvent;
+      const caretPosition = getCaretPosition(x, y);
+      highlightLineRange.collapse(false);
+      setHighlightLineRange(caretPosition, x, y);
+      if (!isPointOutsideHighlightedLine(x, y) &&
+          !isOwnNode(highlightLineRange.startContainer)) {
+        return findNextWordChar(
+            highlightLineRange.startContainer, highlightLineRange.startOffset);
+      }
+    }
+    return findFirstVisibleWordChar();
+  }
+
+  /** @param {boolean} isOn */
+  function setGuidedReading(isOn) {
+    if (isOn) {
+      isKeyboardModeOn = false;
+      const position = findGuidedReadingStart();
+      if (position != null) guidedReading.start(position);
+      return;
+    }
+
+    guidedReading.stop();
+    highlightWordRange.collapse(false);
+    highlightLineRange.collapse(false);
+    highlightSentenceRange.collapse(false);
+    focusMask.follow(highlightLineRange);
+    followHighlights();
+  }
+
+  // Pins: a modifier click keeps the word or line under the pointer marked, in
+  // the color of the `pins` option, until it's clicked again the same way. The
+  // pins are drawn as one more set of highlights, below the others.
+  //
+  // The DOM of a page changes from one load to the next, so the pins don't
+  // point to DOM positions. Instead, like the text quote selectors of the Web
+  // Annotation Data Model, they hold their text and some of the text around it,
+  // and we look for that text in the page. Whoever keeps the pins around (see
+  // `setPins()` and the `pinschange` event) only deals with plain objects.
+
+  /**
+   * The result of the last `getRootText()` call. Walking all the text of a long
+   * page takes a while, so we keep it until the page changes. Null if it needs
+   * to be walked again.
+   *
+   * @type {?{
+   *   text: string,
+   *   toIndex: function(!Node, number): number,
+   *   toPosition: function(number): {offsetNode: !Text, offset: number},
+   * }}
+   */
+  let rootText = null;
+
+  /**
+   * Returns all the text inside `root`, skipping the hidden text nodes,
+   * together with functions that map positions in the DOM to indices in that
+   * text, and back.
+   *
+   * @return {{
+   *   text: string,
+   *   toIndex: function(!Node, number): number,
+   *   toPosition: function(number): {offsetNode: !Text, offset: number},
+   * }} `toIndex()` returns -1 for positions outside of the text.
+   */
+  function getRootText() {
+    if (rootText != null) return rootText;
+
+    const segments = [];
+    /** @type {!Map<!Text, number>} */
+    const textStarts = new Map();
+    let text = '';
+    for (let node = getNextTextNode(root); node != null;
+         node = getNextTextNodeInTree(node, root)) {
+      segments.push({node, textStart: text.length});
+      textStarts.set(node, text.length);
+      text += node.data;
+    }
+
+    const toIndex = (node, offset) => {
+      const textStart = textStarts.get(node);
+      return textStart == null ? -1 : textStart + offset;
+    };
+    const toPosition = (index) => {
+      // The last segment that starts at or before `index`.
+      let low = 0;
+      let high = segments.length - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (segments[middle].textStart <= index) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      const {node, textStart} = segments[low];
+      return {offsetNode: node, offset: index - textStart};
+    };
+    rootText = {text, toIndex, toPosition};
+    return rootText;
+  }
+
+  const pinLayer = new PinLayer({getRootText, dispatchHighlighterEvent});
+
+  /**
+   * Pins or unpins the word or the line at the given point.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {string} granularity 'word' or 'line'.
+   */
+  function togglePinAt(x, y, granularity) {
+    const caretPosition = getCaretPosition(x, y);
+    if (granularity === 'word') {
+      highlightWordRange.collapse(false);
+      setHighlightWordRange(caretPosition);
+      if (isPointOutsideHighlightedWord(x, y)) {
+        highlightWordRange.collapse(false);
+      }
+      pinLayer.toggle(highlightWordRange, granularity);
+    } else {
+      highlightLineRange.collapse(false);
+      setHighlightLineRange(caretPosition, x, y);
+      if (isPointOutsideHighlightedLine(x, y)) {
+        highlightLineRange.collapse(false);
+      }
+      pinLayer.toggle(highlightLineRange, granularity);
+    }
+    followHighlights();
+  }
+
+  // Vocabulary: for language learners, the words that the pointer dwells on
+  // for a while, and the words that are Alt + clicked (or long pressed), are
+  // captured together with their sentence. We dispatch a
+  // `hoverhighlighter:wordcapture` event for each one, and whoever embeds the
+  // highlighter decides what to do with them; the extension keeps them in
+  // vocabulary.js.
+
+  const vocabularyCapture = new VocabularyCapture(
+      {root, getContainingElement, dispatchHighlighterEvent});
+
+  /**
+   * Captures the word at the given point.
+   *
+   * @param {number} x
+   * @param {number} y
+   */
+  function captureWordAt(x, y) {
+    highlightWordRange.collapse(false);
+    setHighlightWordRange(getCaretPosition(x, y));
+    if (isPointOutsideHighlightedWord(x, y)) {
+      highlightWordRange.collapse(false);
+    }
+    vocabularyCapture.capture(highlightWordRange);
+    followHighlights();
+  }
+
+  /**
+   * Runs the action of a click made while holding Alt (or of a long press) at
+   * the given point:
+   *
+   * - Alt + click: captures the word, and reads the line aloud.
+   * - Alt + Shift + click: reads the paragraph aloud.
+   * - Ctrl + Alt + click: pins or unpins the word.
+   * - Ctrl + Alt + Shift + click: pins or unpins the line.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} shiftKey Whether Shift was held too.
+   * @param {boolean=} ctrlKey Whether Ctrl was held too.
+   * @return {boolean} Whether there was an action to run.
+   */
+  function runModifierClickAction(x, y, shiftKey, ctrlKey = false) {
+    if (ctrlKey) {
+      if (!pinLayer.isEnabled) return false;
+      togglePinAt(x, y, shiftKey ? 'line' : 'word');
+      return true;
+    }
+
+    const isCapturingWord = vocabularyCapture.isEnabled && !shiftKey;
+    if (!isCapturingWord && !readAloud.isEnabled) return false;
+    // Before reading aloud, which moves the word highlight.
+    if (isCapturingWord) captureWordAt(x, y);
+    if (readAloud.isEnabled) readAloudAt(x, y, /* wholeParagraph= */ shiftKey);
+    return true;
+  }
+
+  /**
+   * Handles the clicks made while holding Alt. These trigger actions instead of
+   * the default behavior of the click, e.g., downloading a link.
+   */
+  const clickHandler = (event) => {
+    if (guidedReading.isOn) guidedReading.pause();
+    if (!event.altKey || event.metaKey) return;
+
+    if (!runModifierClickAction(
+            event.x, event.y, event.shiftKey, event.ctrlKey)) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  // Occurrences: every other occurrence of the highlighted word in the page is
+  // highlighted too, e.g., to see where else a term is used in a spec. Words
+  // match regardless of case, and they are delimited by `isDelimiter()` only.
+  // Words split across text nodes, e.g., half in bold, are not found.
+  //
+  // Looking through the whole page on every word change would be too slow in
+  // long pages, so we keep an index of the words of every text node instead.
+  // It's built a few nodes at a time while the browser is idle, and the text
+  // nodes that the page adds or changes later are indexed the same way.
+
+  const wordOccurrences = new WordOccurrences({
+    root,
+    wordRange: highlightWordRange,
+    isWordChar,
+    getWordDelimiters: () => extraWordDelimiters,
+    updateProperty,
+    styleShadowRoot,
+    dispatchHighlighterEvent,
+  });
+
+  /**
+   * Highlights the next (direction 1) or previous (direction -1) occurrence of
+   * the highlighted word, and scrolls to it. This turns on the keyboard mode,
+   * so that the pointer doesn't take the highlight away from it. Does nothing
+   * while the highlighter is stopped.
+   *
+   * @param {number} direction
+   * @return {boolean} Whether there was another occurrence.
+   */
+  function jumpToOccurrence(direction) {
+    if (!isStarted) return false;
+    const range = wordOccurrences.findNeighbor(direction);
+    if (range == null) return false;
+
+    const position = {
+      offsetNode: range.startContainer,
+      offset: range.startOffset,
+    };
+    if (isKeyboardModeOn) {
+      highlightWordAt(position);
+    } else {
+      setKeyboardMode(true, position);
+    }
+    return true;
+  }
+
+  // Emphasis inside the highlights, for readers with dyslexia:
+  // - The syllables of the highlighted word take turns between the colors of
+  //   `SYLLABLE_COLORS` (see highlighter/highlights.js), so that long words
+  //   are easier to sound out.
+  // - The first letters of every word of the highlighted line look bolder, to
+  //   guide the eye along the line.
+  //
+  // Both work on the text of the ranges (see `getRangeText()`), so words split
+  // across several text nodes, e.g., `<b>un</b>likely`, are split into
+  // syllables as a whole.
+
+  /**
+   * @param {!Node} node
+   * @return {string} The language of the text of the given node, as a BCP 47
+   *     language tag.
+   */
+  function getLanguage(node) {
+    const element =
+        isOwnNode(node) ? textFieldMirror.field : node.parentElement;
+    return element?.closest('[lang]')?.lang || document.documentElement.lang ||
+        navigator.language;
+  }
+
+  const wordEmphasis = new WordEmphasis({
+    root,
+    wordRange: highlightWordRange,
+    lineRange: highlightLineRange,
+    getLanguage,
+    isVisibleWordChar,
+  });
+
+  // Form fields and editors: the text of `<textarea>` and `<input>` elements
+  // doesn't live in text nodes that we can put in a Range, so we cover the
+  // field with an invisible copy of its text (the "mirror") laid out exactly
+  // like the field, and we highlight the text of the mirror instead. The text
+  // of `contenteditable` editors is made of regular text nodes, so it needs no
+  // special handling.
+  //
+  // Optionally, while a field or editor has the focus, the highlights follow
+  // the text caret instead of the pointer, so that the user can see the word
+  // and line being typed.
+
+  const textFieldMirror = new TextFieldMirror(lineDetector);
+
+  /** Whether the highlights follow the text caret. Set by `applyOptions()`. */
+  let followTextCaret = false;
+
+  /**
+   * @return {?Element} The focused field or editor whose text caret we can
+   *     follow, if any. This looks inside open shadow roots too.
+   */
+  function getFocusedTextField() {
+    let element = document.activeElement;
+    while (element?.shadowRoot?.activeElement != null) {
+      element = element.shadowRoot.activeElement;
+    }
+    return (TextFieldMirror.canMirror(element) || element?.isContentEditable) &&
+            isInRoot(element, root) ?
+        element :
+        null;
+  }
+
+  /**
+   * @return {?{offsetNode: !Text, offset: number}} The position of the
+   *     character right before the text caret of the focused field or editor,
+   *     or right after it when the caret is at the start of a word.
+   */
+  function getTextCaretPosition() {
+    const field = getFocusedTextField();
+    let position = null;
+    if (TextFieldMirror.canMirror(field)) {
+      if (field.selectionStart == null) return null;
+      position = textFieldMirror.positionAt(field, field.selectionStart);
+    } else if (field != null) {
+      const {focusNode, focusOffset} = document.getSelection();
+      if (focusNode?.nodeType !== Node.TEXT_NODE) return null;
+      position = {offsetNode: focusNode, offset: focusOffset};
+    } else {
+      return null;
+    }
+
+    const {offsetNode, offset} = position;
+    if (offset > 0 && !isWordChar(offsetNode.data[offset] ?? ' ')) {
+      return {offsetNode, offset: offset - 1};
+    }
+    return position;
+  }
+
+  /**
+   * @return {boolean} Whether the highlights follow the text caret instead of
+   *     the pointer at the moment.
+   */
+  function isFollowingTextCaret() {
+    return followTextCaret && getFocusedTextField() != null;
+  }
+
+  /**
+   * Keeps the mirror in sync with its field, and moves the highlights along
+   * with the text caret, if needed.
+   */
+  const textCaretHandler = (event) => {
+    // Scrolling the page moves the field, and scrolling the field moves its
+    // text.
+    if (event.type === 'scroll' || event.target === textFieldMirror.field) {
+      textFieldMirror.refresh();
+    }
+
+    if (isKeyboardModeOn || readAloud.isReadingText ||
+        !isFollowingTextCaret()) {
+      return;
+    }
+    const position = getTextCaretPosition();
+    if (position != null) {
+      highlightWordAt(position, /* scrollIntoView= */ false);
+    }
+  };
+
+  /**
+   * @return {boolean} Whether the highlights ignore the pointer at the moment.
+   */
+  function isPointerIgnored() {
+    return isKeyboardModeOn || guidedReading.isOn || readAloud.isReadingText ||
+        isFollowingTextCaret();
+  }
+
+  /** The last pointer move, until it's handled in the next frame. */
+  let pendingPointerMove = null;
+  let pointerMoveAnimationFrameRequest = 0;
+
+  /**
+   * The last move of the mouse or of a hovering pen, as long as it stays over
+   * the page. The highlights are updated from it when the page moves under the
+   * pointer.
+   *
+   * @type {?PointerEvent}
+   */
+  let lastHoverEvent = null;
+
+  /**
+   * Highlights what's under the pointer in the next frame.
+   *
+   * @param {!PointerEvent} event
+   */
+  function scheduleHighlightAtPointer(event) {
+    // There may be many pointer moves per frame, but only the last one of each
+    // frame matters.
+    pendingPointerMove = event;
+    if (pointerMoveAnimationFrameRequest !== 0) return;
+    pointerMoveAnimationFrameRequest = requestAnimationFrame(() => {
+      pointerMoveAnimationFrameRequest = 0;
+      const event = pendingPointerMove;
+      pendingPointerMove = null;
+      if (!isPointerIgnored()) highlightAtPointer(event);
+    });
+  }
+
+  /**
+   * The pointer move callback handler. This is the starting point of our
+   * highlighting logic.
+   */
+  const pointerMoveHandler = (event) => {
+    trackPress(event);
+    // The page scrolling under a still mouse may fire moves too, but they
+    // don't move the pointer.
+    if (guidedReading.isOn &&
+        (event.movementX !== 0 || event.movementY !== 0)) {
+      guidedReading.pause();
+    }
+    if (isPointerIgnored()) return;
+
+    // Touch pointers only move while they are pressed, usually to scroll, and
+    // a pressed pen is writing or selecting. Neither one changes the
+    // highlights; see `pointerUpHandler()`.
+    if (event.pointerType === 'touch' ||
+        event.pointerType === 'pen' && event.buttons !== 0) {
+      return;
+    }
+
+    lastHoverEvent = event;
+    if (isCodeAware) isIdentifierSplitKeyHeld = event.shiftKey;
+    scheduleHighlightAtPointer(event);
+  };
+
+  /**
+   * Highlights the word, line and sentence under the pointer.
+   *
+   * @param {!PointerEvent} event
+   */
+  function highlightAtPointer(event) {
+    let caretPosition = undefined;
+
+    // Shift was pressed or released over an identifier. See
+    // `identifierSplitKeyHandler`.
+    const isSplitChanged = isIdentifierSplitKeyHeld !== isHighlightedWordSplit;
+    if (isWordNeeded() &&
+        (isPointOutsideHighlightedWord(event.x, event.y) || isSplitChanged)) {
+      // Unhighlight the previous word.
+      highlightWordRange.collapse(false);
+
+      // Find out the word under the caret/cursor and highlight it.
+      caretPosition = getCaretPosition(event.x, event.y);
+      setHighlightWordRange(caretPosition);
+
+      if (isPointOutsideHighlightedWord(event.x, event.y)) {
+        // This means that either there is no word under the cursor, or the word
+        // under the caret is not truly under the cursor. This latter
+        // discrepancy arises in at least two situations:
+        // 1. The cursor is above a paragraph, but the caret is calculated to
+        //    be at the start of such paragraph.
+        // 2. The cursor is after the last word of a paragraph, but because a
+        //    paragraph is a block element (and thus, its width extends to the
+        //    parent's width), the caret is calculated to be on such last
+        //    word.
+        // In those cases, we undo the highlighting of the word.
+        highlightWordRange.collapse(false);
+      }
+
+      readAloud.dwellOn(highlightWordRange);
+      vocabularyCapture.dwellOn(highlightWordRange);
+    }
+
+    if (isLineNeeded() && isPointOutsideHighlightedLine(event.x, event.y)) {
+      // Note: how can the cursor be outside the highlighted word, but inside
+      // the highlighted line? Answer: this can theoretically happen when the
+      // highlighted word is hyphenated, and the mouse instantly moves from
+      // the first part of the word to the second part of the word.
+
+      // Unhighlight the previous line.
+      highlightLineRange.collapse(false);
+
+      // Reuse the caret position from the word highlighting logic, or retrieve
+      // it if that logic was skipped.
+      if (caretPosition === undefined) {
+        caretPosition = getCaretPosition(event.x, event.y);
+      }
+
+      // Find out the line under the caret/cursor and highlight it.
+      setHighlightLineRange(caretPosition, event.x, event.y);
+
+      if (isPointOutsideHighlightedLine(event.x, event.y)) {
+        // Either there was no line highlighted, or the line under the caret is
+        // not truly under the cursor. See similar comment above for an
+        // explanation on when this can happen.
+        highlightLineRange.collapse(false);
+      }
+    }
+
+    if (enabledGranularities.has('sentence') &&
+        isPointOutsideRange(highlightSentenceRange, event.x, event.y)) {
+      // Unhighlight the previous sentence.
+      highlightSentenceRange.collapse(false);
+
+      if (caretPosition === undefined) {
+        caretPosition = getCaretPosition(event.x, event.y);
+      }
+
+      // Find out the sentence under the caret/cursor and highlight it.
+      setHighlightSentenceRange(caretPosition);
+
+      if (isPointOutsideRange(highlightSentenceRange, event.x, event.y)) {
+        // See similar comments above.
+        highlightSentenceRange.collapse(false);
+      }
+    }
+
+    focusMask.follow(highlightLineRange);
+    followHighlights();
+  }
+
+  /** @param {?PointerEvent=} event Null to clear the highlights anyway. */
+  const pointerLeaveHandler = (event = null) => {
+    lastHoverEvent = null;
+    if (isPointerIgnored()) return;
+
+    // The highlights set by a tap or a pen stay until the next tap.
+    if (event != null && event.pointerType !== 'mouse') return;
+
+    cancelAnimationFrame(pointerMoveAnimationFrameRequest);
+    pointerMoveAnimationFrameRequest = 0;
+    pendingPointerMove = null;
+
+    highlightWordRange.collapse(false);
+    highlightLineRange.collapse(false);
+    highlightSentenceRange.collapse(false);
+
+    // Cancel the pending dwells, if any.
+    readAloud.dwellOn(highlightWordRange);
+    vocabularyCapture.dwellOn(highlightWordRange);
+    followHighlights();
+  };
+
+  // Keeping the highlights in sync with the page. The highlighted ranges stick
+  // to their text, but the text may move away from under a still pointer,
+  // e.g., when the page scrolls, or when it reflows on resize or zoom. The text
+  // itself may also change, e.g., when the page rewrites the paragraph under
+  // the pointer.
+
+  /**
+   * The page moved under the pointer, so we highlight what's under it now. The
+   * highlights set by the keyboard, a tap or the text caret stay on their text.
+   */
+  const viewportChangeHandler = () => {
+    if (lastHoverEvent != null && !isPointerIgnored()) {
+      scheduleHighlightAtPointer(lastHoverEvent);
+    }
+  };
+
+  /**
+   * @param {!MutationRecord} record
+   * @return {boolean} Whether the record changed the text or the nodes inside
+   *     one of the highlighted ranges.
+   */
+  function isHighlightedTextChange(record) {
+    return record.type !== 'attributes' &&
+        [highlightWordRange, highlightLineRange, highlightSentenceRange].some(
+            (range) => !range.collapsed && range.intersectsNode(record.target));
+  }
+
+  /**
+   * Finds the highlights again after the highlighted text changed, from
+   * whatever set them: the keyboard cursor, the text caret or the pointer. If
+   * there's nothing to find them from, e.g., after a tap, they are cleared.
+   */
+  function refreshHighlights() {
+    if (readAloud.isReadingText) return;
+
+    const wordStart = {
+      offsetNode: highlightWordRange.startContainer,
+      offset: highlightWordRange.startOffset,
+    };
+    highlightWordRange.collapse(false);
+    highlightLineRange.collapse(false);
+    highlightSentenceRange.collapse(false);
+
+    if (guidedReading.isOn) {
+      guidedReading.refresh();
+    } else if (isKeyboardModeOn) {
+      if (wordStart.offsetNode.nodeType === Node.TEXT_NODE &&
+          wordStart.offsetNode.isConnected &&
+          wordStart.offset < wordStart.offsetNode.data.length) {
+        highlightWordAt(wordStart, /* scrollIntoView= */ false);
+      }
+    } else if (isFollowingTextCaret()) {
+      const position = getTextCaretPosition();
+      if (position != null) {
+        highlightWordAt(position, /* scrollIntoView= */ false);
+      }
+    } else if (lastHoverEvent != null) {
+      scheduleHighlightAtPointer(lastHoverEvent);
+    }
+    focusMask.follow(highlightLineRange);
+    // Unless the pointer will find them again in the next frame.
+    if (pendingPointerMove == null) followHighlights();
+  }
+
+  // Touch and pen: a finger doesn't hover, so a tap highlights the word, line
+  // and sentence under it, and they stay highlighted until the next tap. A pen
+  // hovering over the screen highlights like a mouse, but the highlights also
+  // stay when the pen moves away. A long press runs the same action as an
+  // Alt + click.
+  //
+  // The moves of a finger that scrolls the page are ignored, so scrolling
+  // keeps the current highlights.
+
+  /** How long a press must last to be a long press, in milliseconds. */
+  const LONG_PRESS_DELAY = 500;
+
+  /** How far a press can move and still be a tap or long press, in pixels. */
+  const MAX_PRESS_MOVEMENT = 10;
+
+  /**
+   * The touch or pen press in progress, until it moves too far to be a tap or
+   * long press.
+   *
+   * @type {?{pointerId: number, x: number, y: number, timeout: number,
+   *     isLongPress: boolean}}
+   */
+  let press = null;
+
+  function cancelPress() {
+    clearTimeout(press?.timeout);
+    press = null;
+  }
+
+  /**
+   * Runs the long press action of the current press, unless it already ran.
+   *
+   * @return {boolean} Whether the press triggered an action.
+   */
+  function longPress() {
+    if (press == null) return false;
+    clearTimeout(press.timeout);
+    if (!press.isLongPress && !isPointerIgnored()) {
+      press.isLongPress =
+          runModifierClickAction(press.x, press.y, /* shiftKey= */ false);
+    }
+    return press.isLongPress;
+  }
+
+  /**
+   * Forgets the current press if the given event shows that it moved too far,
+   * e.g., because the user is scrolling.
+   *
+   * @param {!PointerEvent} event
+   */
+  function trackPress(event) {
+    if (event.pointerId !== press?.pointerId) return;
+    if (Math.hypot(event.x - press.x, event.y - press.y) > MAX_PRESS_MOVEMENT) {
+      cancelPress();
+    }
+  }
+
+  const pointerDownHandler = (event) => {
+    if (event.pointerType === 'mouse' || !event.isPrimary) return;
+
+    cancelPress();
+    press = {
+      pointerId: event.pointerId,
+      x: event.x,
+      y: event.y,
+      timeout: setTimeout(longPress, LONG_PRESS_DELAY),
+      isLongPress: false,
+    };
+  };
+
+  const pointerUpHandler = (event) => {
+    if (event.pointerId !== press?.pointerId) return;
+
+    const isTap = !press.isLongPress;
+    cancelPress();
+    if (!isTap || isPointerIgnored()) return;
+
+    // Unlike the pointer moves, every tap starts over, even over the same word.
+    highlightWordRange.collapse(false);
+    highlightLineRange.collapse(false);
+    highlightSentenceRange.collapse(false);
+    highlightAtPointer(event);
+  };
+
+  /** The browser took over the press, e.g., to scroll the page. */
+  const pointerCancelHandler = (event) => {
+    if (event.pointerId === press?.pointerId) cancelPress();
+  };
+
+  /**
+   * The browser may open the context menu on a long press before our own
+   * timeout expires. In that case we run the action of the long press right
+   * away, and the context menu doesn't open.
+   */
+  const contextMenuHandler = (event) => {
+    if (longPress()) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  };
+
+  // Public events: other code in the page can follow what the reader is
+  // pointing at. Every time the word or line range changes, we dispatch a
+  // `hoverhighlighter:wordchange` or `hoverhighlighter:linechange` event at
+  // `root`, and starting and stopping the highlighter dispatch
+  // `hoverhighlighter:start` and `hoverhighlighter:stop`. They all bubble, so
+  // they can be listened to on the document too.
+
+  /**
+   * The word and line ranges as of the last change events, keyed by the type
+   * of their events.
+   *
+   * @type {!Map<string, !StaticRange>}
+   */
+  const lastDispatchedRanges = new Map(
+      ['wordchange', 'linechange'].map((type) => [
+        type,
+        new StaticRange({
+          startContainer: document,
+          startOffset: 0,
+          endContainer: document,
+          endOffset: 0,
+        }),
+      ]));
+
+  /**
+   * Returns the closest element that contains the whole given range. For the
+   * text of a form field, that's the field itself rather than its mirror.
+   *
+   * @param {!Range} range
+   * @return {?Element}
+   */
+  function getContainingElement(range) {
+    const container = range.commonAncestorContainer;
+    if (isOwnNode(container)) return textFieldMirror.field;
+    return container instanceof Element ? container : container.parentElement;
+  }
+
+  /**
+   * Returns the detail of the change event of the given range.
+   *
+   * @param {!Range} range
+   * @return {{text: string, rects: !Array<!DOMRect>, element: ?Element}}
+   */
+  function getChangeEventDetail(range) {
+    if (range.collapsed) return {text: '', rects: [], element: null};
+    return {
+      text: getRangeText(range, root).text,
+      rects: [...range.getClientRects()],
+      element: getContainingElement(range),
+    };
+  }
+
+  /**
+   * @param {string} type Without the `hoverhighlighter:` prefix.
+   * @param {?Object=} detail
+   */
+  function dispatchHighlighterEvent(type, detail = null) {
+    root.dispatchEvent(
+        new CustomEvent(`hoverhighlighter:${type}`, {bubbles: true, detail}));
+  }
+
+  /**
+   * Dispatches the change events of the word and line ranges that changed
+   * since the last call. This must be called after every update of the
+   * highlights.
+   */
+  function dispatchChangeEvents() {
+    for (const [type, range] of [
+      ['wordchange', highlightWordRange],
+      ['linechange', highlightLineRange],
+    ]) {
+      if (isSameRange(range, lastDispatchedRanges.get(type))) continue;
+      lastDispatchedRanges.set(type, new StaticRange(range));
+      dispatchHighlighterEvent(type, getChangeEventDetail(range));
+    }
+  }
+
+  /**
+   * Brings everything that follows the highlighted word and line up to date,
+   * after they may have changed.
+   */
+  function followHighlights() {
+    highlightOverlay.update();
+    magnifier.update();
+    wordOccurrences.update();
+    updateMatchingBracket();
+    wordEmphasis.update();
+    autoTheme.update();
+    dispatchChangeEvents();
+  }
+
+  function updateProperty(propertyName, propertyValue) {
+    const elements = [
+      root,
+      textFieldMirror.host,
+      overlayHost.element,
+    ];
+    for (const element of elements) {
+      if (propertyValue == null) {
+        element.style.removeProperty(propertyName);
+      } else {
+        element.style.setProperty(propertyName, propertyValue);
+      }
+    }
+  }
+
+  // Color themes: the colors of the highlights come from one of
+  // `COLOR_THEMES`, chosen with the `theme` option, and the `colors` option
+  // overrides them. The 'auto' theme instead picks colors that suit the text
+  // under the highlighted line (see `AutoTheme`). It picks them again as the
+  // line moves to text of other colors, and as the page switches between light
+  // and dark colors when the preferred color scheme changes.
+
+  /**
+   * Sets the colors of the highlights to the given ones, unless the `colors`
+   * option overrides them.
+   *
+   * @param {!Object<string, {background: string, text: string}>} themeColors
+   */
+  function applyColors(themeColors) {
+    for (const [granularity, defaultColors] of Object.entries(DEFAULT_COLORS)) {
+      const {background, text} = {
+        ...defaultColors,
+        ...themeColors[granularity],
+        ...currentOptions.colors?.[granularity],
+      };
+      updateProperty(
+          `--hover_highlighter-${granularity}_background_color`, background);
+      updateProperty(`--hover_highlighter-${granularity}_text_color`, text);
+    }
+  }
+
+  const autoTheme = new AutoTheme({
+    root,
+    wordRange: highlightWordRange,
+    lineRange: highlightLineRange,
+    getContainingElement,
+    applyColors,
+  });
+
+  /**
+   * The granularities ('word', 'line' and/or 'sentence') that are highlighted.
+   * Set by `applyOptions()`.
+   *
+   * @type {!Set<string>}
+   */
+  let enabledGranularities = new Set();
+
+  /**
+   * @param {string} granularity
+   * @return {string} The style of the highlight of the given granularity:
+   *     'background', or one of `HIGHLIGHT_API_STYLES` or `OVERLAY_STYLES`.
+   */
+  function getHighlightStyle(granularity) {
+    const style = currentOptions.styles?.[granularity];
+    return HIGHLIGHT_STYLES.includes(style) ? style : 'background';
+  }
+
+  /**
+   * @return {boolean} Whether the word under the pointer must be found, either
+   *     to highlight it, or because some other feature uses it.
+   */
+  function isWordNeeded() {
+    return enabledGranularities.has('word') || readAloud.isEnabled ||
+        vocabularyCapture.isEnabled || wordEmphasis.isSyllablesEnabled ||
+        magnifier.isEnabled || wordOccurrences.isEnabled;
+  }
+
+  /**
+   * @return {boolean} Whether the line under the pointer must be found, either
+   *     to highlight it, or because some other feature uses it.
+   */
+  function isLineNeeded() {
+    return enabledGranularities.has('line') || focusMask.isEnabled ||
+        wordEmphasis.isFirstLettersEnabled || magnifier.isEnabled;
+  }
+
+  /**
+   * Adds the ranges of the enabled granularities to the shared highlights (see
+   * `addHighlightRange()`), and removes the rest.
+   */
+  function registerHighlights() {
+    const highlights = [
+      ['sentence', CSS_HIGHLIGHT_SENTENCE_KEY],
+      ['line', CSS_HIGHLIGHT_LINE_KEY],
+      ['word', CSS_HIGHLIGHT_WORD_KEY],
+    ];
+    for (const [granularity, key] of highlights) {
+      const range = highlightRanges[granularity];
+      const isEnabled = isStarted && enabledGranularities.has(granularity);
+      // The range goes in the highlight of its style only. The overlay styles
+      // have no highlight.
+      for (const style of ['background', ...HIGHLIGHT_API_STYLES]) {
+        const styledKey = getStyledHighlightKey(key, style);
+        if (isEnabled && style === getHighlightStyle(granularity)) {
+          addHighlightRange(styledKey, range);
+        } else {
+          deleteHighlightRange(styledKey, range);
+        }
+      }
+      // So that it doesn't show up stale if it's enabled again later.
+      if (!isEnabled) range.collapse(false);
+    }
+    followHighlights();
+  }
+
+  /**
+   * The current options, except for the root. See `update()`.
+   *
+   * @type {!HoverHighlighterOptions}
+   */
+  let currentOptions = initialOptions;
+
+  /** Whether the highlighter is listening to the pointer. */
+  let isStarted = false;
+
+  /** Whether `destroy()` was called. */
+  let isDestroyed = false;
+
+  /** Sets all the colors and features according to `currentOptions`. */
+  function applyOptions() {
+    const theme = currentOptions.theme ?? 'default';
+    autoTheme.configure(theme === 'auto');
+    if (theme !== 'auto') {
+      applyColors(
+          Object.hasOwn(COLOR_THEMES, theme) ? COLOR_THEMES[theme] :
+                                               DEFAULT_COLORS);
+    }
+
+    enabledGranularities =
+        new Set(currentOptions.granularities ?? ['word', 'line']);
+    extraWordDelimiters = currentOptions.extraWordDelimiters ?? '';
+    isCodeAware = currentOptions.codeAware ?? false;
+    followTextCaret = currentOptions.followTextCaret ?? false;
+    registerHighlights();
+    highlightOverlay.configure(new Map(
+        [...enabledGranularities]
+            .map((granularity) => [granularity, getHighlightStyle(granularity)])
+            .filter(([, style]) => OVERLAY_STYLES.includes(style))));
+
+    focusMask.configure(currentOptions.focusMask ?? null);
+    magnifier.configure(currentOptions.magnifier ?? null);
+    readAloud.configure(currentOptions.speech ?? null);
+    guidedReading.configure(currentOptions.guidedReading ?? null);
+    pinLayer.configure(currentOptions.pins ?? null);
+    vocabularyCapture.configure(currentOptions.vocabulary ?? null);
+    wordEmphasis.configure(currentOptions.emphasis ?? null);
+    wordOccurrences.configure(currentOptions.occurrences ?? null);
+  }
+
+  /** Starts highlighting the text under the pointer. */
+  function start() {
+    if (isDestroyed) throw new Error('The highlighter was destroyed.');
+    if (isStarted) return;
+    isStarted = true;
+
+    root.addEventListener('pointermove', pointerMoveHandler);
+    root.addEventListener('pointerleave', pointerLeaveHandler);
+    // Capture phase, so that we get the keys and clicks before the page does.
+    document.addEventListener('keydown', keyDownHandler, true);
+    document.addEventListener('keydown', identifierSplitKeyHandler, true);
+    document.addEventListener('keyup', identifierSplitKeyHandler, true);
+    root.addEventListener('click', clickHandler, true);
+    root.addEventListener('pointerdown', pointerDownHandler);
+    root.addEventListener('pointerup', pointerUpHandler);
+    root.addEventListener('pointercancel', pointerCancelHandler);
+    root.addEventListener('contextmenu', contextMenuHandler, true);
+    // The `scroll` events of fields don't bubble, so we capture them. The
+    // `selectionchange` events of fields are fired at the fields themselves.
+    document.addEventListener('selectionchange', textCaretHandler, true);
+    document.addEventListener('input', textCaretHandler, true);
+    document.addEventListener('scroll', textCaretHandler, true);
+
+    // The lines found in the text are cached until the layout changes, which
+    // may have happened while we were stopped.
+    layoutChangeHandler();
+    window.addEventListener('resize', layoutChangeHandler);
+    document.fonts.addEventListener('loadingdone', layoutChangeHandler);
+    layoutObserver.observe(root, LAYOUT_OBSERVER_OPTIONS);
+
+    // The page may move under a still pointer.
+    document.addEventListener(
+        'scroll', viewportChangeHandler, {capture: true, passive: true});
+    window.addEventListener('resize', viewportChangeHandler);
+    window.visualViewport?.addEventListener('scroll', viewportChangeHandler);
+    window.visualViewport?.addEventListener('resize', viewportChangeHandler);
+
+    adoptStyleSheet(document);
+    applyOptions();
+    dispatchHighlighterEvent('start');
+  }
+
+  /**
+   * Stops highlighting, and removes everything that the highlighter added to
+   * the page. It can be started again later.
+   */
+  function stop() {
+    if (!isStarted) return;
+    isStarted = false;
+
+    root.removeEventListener('pointermove', pointerMoveHandler);
+    root.removeEventListener('pointerleave', pointerLeaveHandler);
+    document.removeEventListener('keydown', keyDownHandler, true);
+    document.removeEventListener('keydown', identifierSplitKeyHandler, true);
+    document.removeEventListener('keyup', identifierSplitKeyHandler, true);
+    root.removeEventListener('click', clickHandler, true);
+    root.removeEventListener('pointerdown', pointerDownHandler);
+    root.removeEventListener('pointerup', pointerUpHandler);
+    root.removeEventListener('pointercancel', pointerCancelHandler);
+    root.removeEventListener('contextmenu', contextMenuHandler, true);
+    document.removeEventListener('selectionchange', textCaretHandler, true);
+    document.removeEventListener('input', textCaretHandler, true);
+    document.removeEventListener('scroll', textCaretHandler, true);
+    window.removeEventListener('resize', layoutChangeHandler);
+    document.fonts.removeEventListener('loadingdone', layoutChangeHandler);
+    layoutObserver.disconnect();
+    document.removeEventListener('scroll', viewportChangeHandler, true);
+    window.removeEventListener('resize', viewportChangeHandler);
+    window.visualViewport?.removeEventListener('scroll', viewportChangeHandler);
+    window.visualViewport?.removeEventListener('resize', viewportChangeHandler);
+
+    isKeyboardModeOn = false;
+    guidedReading.stop();
+    cancelPress();
+    pointerLeaveHandler();
+    focusMask.destroy();
+    highlightOverlay.destroy();
+    magnifier.destroy();
+    wordOccurrences.destroy();
+    readAloud.stop();
+    pinLayer.destroy();
+    vocabularyCapture.destroy();
+    wordEmphasis.destroy();
+    autoTheme.destroy();
+    textFieldMirror.destroy();
+    unstyleShadowRoots();
+    // The page won't be observed until we start again.
+    rootText = null;
+    registerHighlights();
+    for (const granularity of Object.keys(DEFAULT_COLORS)) {
+      updateProperty(`--hover_highlighter-${granularity}_background_color`, null);
+      updateProperty(`--hover_highlighter-${granularity}_text_color`, null);
+    }
+    releaseStyleSheet(document);
+    dispatchHighlighterEvent('stop');
+  }
+
+  /**
+   * Changes some of the options. The options that are not given keep their
+   * current value, and so do the colors and styles of the granularities that
+   * are not given. The root can't be changed.
+   *
+   * @param {!HoverHighlighterOptions} options
+   */
+  function update(options) {
+    if (Object.hasOwn(options, 'root')) {
+      throw new Error('The root of a highlighter can\'t be changed.');
+    }
+    currentOptions = {
+      ...currentOptions,
+      ...options,
+      colors: {...currentOptions.colors, ...options.colors},
+      styles: {...currentOptions.styles, ...options.styles},
+    };
+    if (isStarted) applyOptions();
+  }
+
+  /** Stops the highlighter for good. */
+  function destroy() {
+    stop();
+    isDestroyed = true;
+  }
+
+  /**
+   * Replaces the pins of the page, e.g., with the ones saved in the last visit.
+   * They are shown while the highlighter is started with the `pins` option.
+   *
+   * @param {!Array<!Pin>} pins
+   */
+  function setPins(pins) {
+    pinLayer.setPins(pins);
+  }
+
+  /** @return {!Array<!Pin>} The pins of the page. */
+  function getPins() {
+    return pinLayer.pins;
+  }
+
+  /**
+   * Scrolls the page to the pin with the given id.
+   *
+   * @param {string} id
+   * @return {boolean} Whether the pin was found in the page.
+   */
+  function scrollToPin(id) {
+    return pinLayer.scrollTo(id);
+  }
+
+  /**
+   * Turns the keyboard mode on or off. See `setKeyboardMode()`. Does nothing
+   * while the highlighter is stopped.
+   */
+  function toggleKeyboardMode() {
+    if (isStarted) setKeyboardMode(!isKeyboardModeOn);
+  }
+
+  /**
+   * Starts or stops guided reading. See `setGuidedReading()`. Does nothing
+   * while the highlighter is stopped, or without the `guidedReading` option.
+   */
+  function toggleGuidedReading() {
+    if (isStarted && guidedReading.isEnabled) {
+      setGuidedReading(!guidedReading.isOn);
+    }
+  }
+
+  return {
+    start,
+    stop,
+    update,
+    destroy,
+    setPins,
+    getPins,
+    scrollToPin,
+    toggleKeyboardMode,
+    jumpToOccurrence,
+    toggleGuidedReading,
+    get isStarted() {
+      return isStarted;
+    },
+  };
+}
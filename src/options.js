@@ -0,0 +1,216 @@
+/**
+ * @fileoverview
+ *
+ * The options page. Every form control is named after the setting it edits.
+ * Changes are previewed while the user is editing a control (`input` event),
+ * and persisted once the user is done with it (`change` event). Persisting the
+ * settings is enough to update the tabs where the extension is turned on; see
+ * the `chrome.storage.onChanged` listener in the service worker.
+ */
+
+import {COLOR_THEMES} from './hover-highlighter.js';
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  resetSettings,
+  saveSettings,
+  toHighlighterArgs,
+  validateSettings,
+} from './settings.js';
+
+const form = document.getElementById('settings-form');
+const preview = document.getElementById('preview');
+const status = document.getElementById('status');
+
+/**
+ * Returns the value of the given form control, converted to the type of the
+ * setting it edits.
+ *
+ * @param {!HTMLInputElement|!HTMLSelectElement} control
+ * @return {*}
+ */
+function readControl(control) {
+  if (control.type === 'checkbox') return control.checked;
+  if (Array.isArray(DEFAULT_SETTINGS[control.name])) {
+    // One entry per line.
+    return control.value.split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line !== '');
+  }
+  if (typeof DEFAULT_SETTINGS[control.name] === 'number') {
+    return Number(control.value);
+  }
+  return control.value;
+}
+
+/**
+ * @param {!HTMLInputElement|!HTMLSelectElement} control
+ * @param {*} value
+ */
+function writeControl(control, value) {
+  if (control.type === 'checkbox') {
+    control.checked = value;
+  } else if (Array.isArray(value)) {
+    control.value = value.join('\n');
+  } else {
+    control.value = String(value);
+  }
+}
+
+/** @return {!Object} The settings as currently shown in the form. */
+function readForm() {
+  const settings = {};
+  for (const control of form.elements) {
+    if (Object.hasOwn(DEFAULT_SETTINGS, control.name)) {
+      settings[control.name] = readControl(control);
+    }
+  }
+  return settings;
+}
+
+/** @param {!Object} settings */
+function writeForm(settings) {
+  for (const control of form.elements) {
+    if (Object.hasOwn(settings, control.name)) {
+      writeControl(control, settings[control.name]);
+    }
+  }
+}
+
+/**
+ * Paints the preview with the given settings, using the same CSS custom
+ * properties that the injected script sets. The automatic theme is previewed
+ * with the default colors, which suit this page.
+ *
+ * @param {!Object} settings
+ */
+function updatePreview(settings) {
+  const args = toHighlighterArgs(settings);
+  const themeColors = COLOR_THEMES[args.theme] ?? COLOR_THEMES.default;
+  for (const granularity of ['word', 'line', 'sentence']) {
+    const {background, text} = {
+      ...themeColors[granularity],
+      ...args.colors[granularity],
+    };
+    preview.style.setProperty(
+        `--hover_highlighter-${granularity}_background_color`, background);
+    preview.style.setProperty(
+        `--hover_highlighter-${granularity}_text_color`, text);
+    preview.classList.toggle(
+        `no-${granularity}`, !args.granularities.includes(granularity));
+    preview.querySelector(`.preview-${granularity}`).dataset.style =
+        args.styles[granularity] ?? 'background';
+  }
+}
+
+/**
+ * @param {string} message
+ * @param {boolean=} isError
+ */
+function showStatus(message, isError = false) {
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+function exportSettings() {
+  const json = JSON.stringify(readForm(), null, 2);
+  const url = URL.createObjectURL(new Blob([json], {type: 'application/json'}));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'hover-highlighter-settings.json';
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/** @param {!File} file */
+async function importSettings(file) {
+  let settings;
+  try {
+    settings = validateSettings(JSON.parse(await file.text()));
+  } catch (error) {
+    showStatus(`Could not import ${file.name}: ${error.message}`, true);
+    return;
+  }
+  await saveSettings(settings);
+  const allSettings = await loadSettings();
+  writeForm(allSettings);
+  updatePreview(allSettings);
+  showStatus(`Imported ${file.name}.`);
+}
+
+form.addEventListener('input', () => {
+  updatePreview(readForm());
+});
+
+form.addEventListener('change', async (event) => {
+  try {
+    await saveSettings({[event.target.name]: readControl(event.target)});
+  } catch (error) {
+    // E.g., a number out of range.
+    showStatus(error.message, true);
+    return;
+  }
+  showStatus('Saved.');
+});
+
+document.getElementById('export-button').addEventListener('click', () => {
+  exportSettings();
+});
+
+const importFile = document.getElementById('import-file');
+
+document.getElementById('import-button').addEventListener('click', () => {
+  importFile.click();
+});
+
+importFile.addEventListener('change', async () => {
+  const [file] = importFile.files;
+  // Allow importing the same file again.
+  importFile.value = '';
+  if (file != null) await importSettings(file);
+});
+
+const voiceSelect = form.elements.namedItem('speechVoice');
+
+/**
+ * Fills the voice selector with the voices of the browser. These load
+ * asynchronously, so this runs again every time they change.
+ */
+async function populateVoices() {
+  const {speechVoice} = await loadSettings();
+  voiceSelect.replaceChildren(
+      new Option('Default', ''),
+      ...speechSynthesis.getVoices().map(
+          (voice) =>
+              new Option(`${voice.name} (${voice.lang})`, voice.voiceURI)));
+  voiceSelect.value = speechVoice;
+}
+
+speechSynthesis.addEventListener('voiceschanged', populateVoices);
+
+document.getElementById('test-voice-button').addEventListener('click', () => {
+  const settings = readForm();
+  const utterance = new SpeechSynthesisUtterance(
+      'This is how the hovered text will sound.');
+  utterance.voice = speechSynthesis.getVoices().find(
+                        (voice) => voice.voiceURI === settings.speechVoice) ??
+      null;
+  utterance.rate = settings.speechRate;
+  utterance.pitch = settings.speechPitch;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+});
+
+document.getElementById('reset-button').addEventListener('click', async () => {
+  await resetSettings();
+  writeForm(DEFAULT_SETTINGS);
+  updatePreview(DEFAULT_SETTINGS);
+  showStatus('Restored the default settings.');
+});
+
+await populateVoices();
+const settings = await loadSettings();
+writeForm(settings);
+updatePreview(settings);
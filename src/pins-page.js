@@ -0,0 +1,136 @@
+/**
+ * @fileoverview
+ *
+ * The pins page, which lists the pins of every page (see pins.js). From here
+ * the user can jump to a pin, change its color, delete it, or export them all.
+ * Every change is saved right away, and the tabs where the extension is turned
+ * on pick it up from the storage.
+ */
+
+import {PIN_COLORS} from './hover-highlighter.js';
+import {hasPinsChanges, loadAllPins, savePins} from './pins.js';
+
+const pagesElement = document.getElementById('pages');
+const noPinsElement = document.getElementById('no-pins');
+const status = document.getElementById('status');
+
+/**
+ * @param {string} message
+ * @param {boolean=} isError
+ */
+function showStatus(message, isError = false) {
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Applies the given change to the pin with the given id, and saves the pins of
+ * its page. A null change deletes the pin.
+ *
+ * @param {string} pageUrl
+ * @param {!Array<!Object>} pins All the pins of the page.
+ * @param {string} id
+ * @param {?Object} change
+ * @return {!Promise<void>}
+ */
+async function updatePin(pageUrl, pins, id, change) {
+  await savePins(
+      pageUrl,
+      change == null ?
+          pins.filter((pin) => pin.id !== id) :
+          pins.map((pin) => pin.id === id ? {...pin, ...change} : pin));
+}
+
+/**
+ * @param {string} pageUrl
+ * @param {!Array<!Object>} pins All the pins of the page.
+ * @param {!Object} pin
+ * @return {!HTMLLIElement}
+ */
+function renderPin(pageUrl, pins, pin) {
+  const item = document.createElement('li');
+  item.className = 'pin';
+
+  const colorSelect = document.createElement('select');
+  colorSelect.title = 'Color';
+  for (const [color, value] of Object.entries(PIN_COLORS)) {
+    const option = new Option(color, color);
+    option.style.backgroundColor = value;
+    colorSelect.append(option);
+  }
+  colorSelect.value = pin.color;
+  colorSelect.addEventListener('change', () => {
+    updatePin(pageUrl, pins, pin.id, {color: colorSelect.value});
+  });
+
+  const quote = document.createElement('q');
+  quote.textContent = pin.exact;
+  quote.style.backgroundColor = PIN_COLORS[pin.color] ?? PIN_COLORS.yellow;
+  quote.title = `${pin.granularity === 'line' ? 'Line' : 'Word'} pinned on ${
+      new Date(pin.createdAt).toLocaleString()}`;
+
+  const jumpButton = document.createElement('button');
+  jumpButton.type = 'button';
+  jumpButton.textContent = 'Show';
+  jumpButton.addEventListener('click', () => {
+    chrome.runtime.sendMessage({type: 'jumpToPin', pageUrl, id: pin.id});
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', () => {
+    updatePin(pageUrl, pins, pin.id, null);
+  });
+
+  item.append(colorSelect, quote, jumpButton, deleteButton);
+  return item;
+}
+
+/** Lists the pins of every page, the most recent first. */
+async function renderPages() {
+  const allPins = Object.entries(await loadAllPins());
+  const latest = (pins) => Math.max(...pins.map((pin) => pin.createdAt));
+  allPins.sort(([, a], [, b]) => latest(b) - latest(a));
+
+  pagesElement.replaceChildren(...allPins.map(([pageUrl, pins]) => {
+    const section = document.createElement('section');
+    const heading = document.createElement('h2');
+    const link = document.createElement('a');
+    link.href = pageUrl;
+    link.target = '_blank';
+    link.textContent = pageUrl;
+    heading.append(link);
+
+    const list = document.createElement('ul');
+    list.append(...pins.map((pin) => renderPin(pageUrl, pins, pin)));
+    section.append(heading, list);
+    return section;
+  }));
+  noPinsElement.hidden = allPins.length > 0;
+}
+
+async function exportPins() {
+  const json = JSON.stringify(await loadAllPins(), null, 2);
+  const url = URL.createObjectURL(new Blob([json], {type: 'application/json'}));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'hover-highlighter-pins.json';
+  link.click();
+
+  URL.revokeObjectURL(url);
+  showStatus('Exported.');
+}
+
+document.getElementById('export-button').addEventListener('click', () => {
+  exportPins();
+});
+
+// The pins also change while this page is open, e.g., when the user pins text
+// in another tab.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && hasPinsChanges(changes)) renderPages();
+});
+
+await renderPages();
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview
+ *
+ * The words and lines that the user pinned in every page (see `PinLayer` in
+ * highlighter/pin-layer.js). They are persisted in `chrome.storage.local`, one
+ * entry per page, so they stay on this device, and they are not limited by the
+ * small quota of `chrome.storage.sync`.
+ *
+ * This module is shared by the injected script, the service worker and the
+ * pins page.
+ */
+
+const PINS_KEY_PREFIX = 'pins:';
+
+/**
+ * Returns the URL under which the pins of the page with the given URL are
+ * kept. The fragment is left out, since it doesn't change the page.
+ *
+ * @param {string} url
+ * @return {string}
+ */
+export function getPageUrl(url) {
+  const pageUrl = new URL(url);
+  pageUrl.hash = '';
+  return pageUrl.href;
+}
+
+/**
+ * The key in `chrome.storage.local` of the pins of the given page.
+ *
+ * @param {string} pageUrl See `getPageUrl()`.
+ * @return {string}
+ */
+export function pinsKey(pageUrl) {
+  return `${PINS_KEY_PREFIX}${pageUrl}`;
+}
+
+/**
+ * @param {string} pageUrl See `getPageUrl()`.
+ * @return {!Promise<!Array<!Object>>} The pins of the given page.
+ */
+export async function loadPins(pageUrl) {
+  const key = pinsKey(pageUrl);
+  const {[key]: pins = []} = await chrome.storage.local.get(key);
+  return pins;
+}
+
+/**
+ * Replaces the pins of the given page. Pages without pins take no space.
+ *
+ * @param {string} pageUrl See `getPageUrl()`.
+ * @param {!Array<!Object>} pins
+ * @return {!Promise<void>}
+ */
+export async function savePins(pageUrl, pins) {
+  const key = pinsKey(pageUrl);
+  if (pins.length === 0) {
+    await chrome.storage.local.remove(key);
+  } else {
+    await chrome.storage.local.set({[key]: pins});
+  }
+}
+
+/**
+ * @return {!Promise<!Object<string, !Array<!Object>>>} The pins of every page,
+ *     by page URL.
+ */
+export async function loadAllPins() {
+  const allPins = {};
+  for (const [key, pins] of Object.entries(await chrome.storage.local.get())) {
+    if (key.startsWith(PINS_KEY_PREFIX)) {
+      allPins[key.slice(PINS_KEY_PREFIX.length)] = pins;
+    }
+  }
+  return allPins;
+}
+
+/**
+ * @param {!Object<string, !chrome.storage.StorageChange>} changes
+ * @return {boolean} Whether the given changes of `chrome.storage.local` touch
+ *     any pins.
+ */
+export function hasPinsChanges(changes) {
+  return Object.keys(changes).some((key) => key.startsWith(PINS_KEY_PREFIX));
+}
@@ -1,55 +1,440 @@
-chrome.runtime.onInstalled.addListener(() => {
+import {getPageUrl} from './pins.js';
+import {loadSettings, saveSettings, toHighlighterArgs} from './settings.js';
+import {addSiteRule, getSiteRule} from './site-rules.js';
+
+chrome.runtime.onInstalled.addListener(async () => {
   chrome.action.setBadgeBackgroundColor({color: '#43A047'});  // green
+
+  // The menus of the previous version are still there after an update.
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: 'alwaysOn',
+    title: 'Always turn on for this site',
+    contexts: ['action'],
+  });
+  chrome.contextMenus.create({
+    id: 'neverOn',
+    title: 'Never turn on for this site',
+    contexts: ['action'],
+  });
+  chrome.contextMenus.create({
+    id: 'showPins',
+    title: 'Pinned words and lines',
+    contexts: ['action'],
+  });
+  chrome.contextMenus.create({
+    id: 'showVocabulary',
+    title: 'Vocabulary',
+    contexts: ['action'],
+  });
 });
 
-// Toggles the ON/OFF extension status.
-chrome.action.onClicked.addListener(async (tab) => {
-  if (tab.url.startsWith('chrome://')) return;
+/** The extension pages opened by the context menu items, by item id. */
+const CONTEXT_MENU_PAGES = {
+  showPins: 'pins.html',
+  showVocabulary: 'vocabulary.html',
+};
 
-  // Workaround to pass in arguments to the script we will inject next.
-  await chrome.scripting.executeScript({
-    target: {tabId: tab.id},
-    func: (args) => {
+/**
+ * @param {string|undefined} url
+ * @return {boolean} Whether Chrome lets extensions inject scripts into the
+ *     page with the given URL.
+ */
+function canInject(url) {
+  return url != null && /^(https?|file):/.test(url);
+}
+
+/**
+ * The key in `chrome.storage.session` of the ON/OFF state that the user chose
+ * manually for the given tab, by clicking the action button.
+ *
+ * The stored value has the form `{hostname, isTurnedOn}`. The manual state
+ * overrides the site rules as long as the tab stays on the same hostname.
+ *
+ * @param {number} tabId
+ * @return {string}
+ */
+function manualTabStateKey(tabId) {
+  return `tab:${tabId}`;
+}
+
+/**
+ * The key in `chrome.storage.session` of the ON/OFF state that the extension
+ * is in for the given tab, whether the user or a site rule chose it. The stored
+ * value is a boolean.
+ *
+ * @param {number} tabId
+ * @return {string}
+ */
+function tabStateKey(tabId) {
+  return `state:${tabId}`;
+}
+
+/**
+ * The key in `chrome.storage.session` of the detail of the last highlighter
+ * event of the given type ('wordchange' or 'linechange') in the given tab. The
+ * events are only kept when the `forwardEvents` setting is on, so that other
+ * extension pages, e.g., a side panel, can follow the reading with
+ * `chrome.storage.onChanged`.
+ *
+ * The stored value has the form `{frameId, text, rects}`.
+ *
+ * @param {number} tabId
+ * @param {string} eventType
+ * @return {string}
+ */
+function highlighterEventKey(tabId, eventType) {
+  return `${eventType}:${tabId}`;
+}
+
+/**
+ * Removes the highlighter events kept for the given tab.
+ *
+ * @param {number} tabId
+ * @return {!Promise<void>}
+ */
+async function forgetHighlighterEvents(tabId) {
+  await chrome.storage.session.remove([
+    highlighterEventKey(tabId, 'wordchange'),
+    highlighterEventKey(tabId, 'linechange'),
+  ]);
+}
+
+/**
+ * Updates the action button of the given tab so that it reflects the given
+ * ON/OFF status, and remembers that status. See `tabStateKey()`.
+ *
+ * @param {number} tabId
+ * @param {boolean} isTurnedOn
+ * @return {!Promise<void>}
+ */
+async function updateAction(tabId, isTurnedOn) {
+  await Promise.all([
+    chrome.storage.session.set({[tabStateKey(tabId)]: isTurnedOn}),
+    chrome.action.setTitle({
+      tabId,
+      title: `Hover Highlighter (${isTurnedOn ? 'ON' : 'OFF'})`,
+    }),
+    chrome.action.setBadgeText({tabId, text: isTurnedOn ? 'ON' : ''}),
+  ]);
+}
+
+/** Higher counts are shown as "999+", since the badge fits 4 characters. */
+const MAX_BADGE_COUNT = 999;
+
+/**
+ * Shows in the action button of the given tab how many times the highlighted
+ * word appears in the page, or that the extension is on if the count is 0.
+ *
+ * @param {number} tabId
+ * @param {number} count
+ * @return {!Promise<void>}
+ */
+async function updateBadgeCount(tabId, count) {
+  let text = 'ON';
+  if (count > MAX_BADGE_COUNT) {
+    text = `${MAX_BADGE_COUNT}+`;
+  } else if (count > 0) {
+    text = String(count);
+  }
+  await chrome.action.setBadgeText({tabId, text});
+}
+
+/**
+ * @param {number} tabId
+ * @return {!Promise<boolean>} Whether the extension is turned on in the top
+ *     frame of the given tab. All the other frames follow the top frame.
+ */
+async function isTurnedOnInTopFrame(tabId) {
+  const [{result: isTurnedOn}] = await chrome.scripting.executeScript({
+    target: {tabId, frameIds: [0]},
+    func: () => window.hoverHighlighterInfo != null,
+  });
+  return isTurnedOn;
+}
+
+/**
+ * Turns the extension on or off in the given frames. Each frame gets its own
+ * copy of the injected script, which highlights the text of that frame only.
+ *
+ * @param {!chrome.scripting.InjectionTarget} target
+ * @param {boolean} isTurnedOn
+ * @return {!Promise<void>}
+ */
+async function setFramesState(target, isTurnedOn) {
+  // Workaround to pass in arguments to the script we will inject next. This
+  // also tells us the current on/off status of every frame.
+  const results = await chrome.scripting.executeScript({
+    target,
+    func: (args, command) => {
       window.hoverHighlighterArgs = args;
-      console.log('assigning', args);
+      window.hoverHighlighterCommand = command;
+      return window.hoverHighlighterInfo != null;
     },
-    args: [{
-      lineBackgroundColor: 'rgba(173, 216, 230, 1)',
-      lineTextColor: 'black',
-      wordBackgroundColor: 'rgba(253, 233, 125, 1)',
-      wordTextColor: 'black',
-    }],
+    args: [toHighlighterArgs(await loadSettings()), isTurnedOn ? 'on' : 'off'],
   });
-  console.log('injected first script');
 
-  // This gives the extension new on/off status.
-  const [{result: isTurnedOn}] = await chrome.scripting.executeScript({
-    target: {tabId: tab.id},
+  // Don't bother injecting the whole script in frames that already are in the
+  // right state.
+  const frameIds = results
+      .filter(({result: wasTurnedOn}) => wasTurnedOn !== isTurnedOn)
+      .map(({frameId}) => frameId);
+  if (frameIds.length === 0) return;
+
+  // The highlighter brings its own styles, so there's no CSS to insert.
+  await chrome.scripting.executeScript({
+    target: {tabId: target.tabId, frameIds},
     files: ['injected.js'],
   });
+}
+
+/**
+ * Turns the extension on or off in all the frames of the given tab, and
+ * updates the action button accordingly.
+ *
+ * @param {number} tabId
+ * @param {string} command One of 'on', 'off' or 'toggle'.
+ * @return {!Promise<boolean>} The new ON/OFF status.
+ */
+async function setHighlighterState(tabId, command) {
+  const isTurnedOn = command === 'toggle' ?
+      !await isTurnedOnInTopFrame(tabId) :
+      command === 'on';
+
+  await setFramesState({tabId, allFrames: true}, isTurnedOn);
+  await updateAction(tabId, isTurnedOn);
+  return isTurnedOn;
+}
+
+/**
+ * Returns whether the extension should be on in the given tab, according to
+ * the manual state of the tab, or else, to the site rules.
+ *
+ * @param {!chrome.tabs.Tab} tab
+ * @return {!Promise<boolean>}
+ */
+async function shouldBeTurnedOn(tab) {
+  const key = manualTabStateKey(tab.id);
+  const {[key]: manualState} = await chrome.storage.session.get(key);
+  if (manualState?.hostname === new URL(tab.url).hostname) {
+    return manualState.isTurnedOn;
+  }
+  return getSiteRule(tab.url, await loadSettings()) ?? false;
+}
+
+/**
+ * Remembers the ON/OFF state that the user chose manually for the given tab.
+ *
+ * @param {!chrome.tabs.Tab} tab
+ * @param {boolean} isTurnedOn
+ * @return {!Promise<void>}
+ */
+async function saveManualTabState(tab, isTurnedOn) {
+  await chrome.storage.session.set({
+    [manualTabStateKey(tab.id)]: {
+      hostname: new URL(tab.url).hostname,
+      isTurnedOn,
+    },
+  });
+}
+
+/**
+ * Resolves once the given tab finishes loading.
+ *
+ * @param {number} tabId
+ * @return {!Promise<void>}
+ */
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Shows the given pin: opens its page, or switches to a tab where it's open
+ * already, turns the extension on there, and scrolls to the pin.
+ *
+ * @param {string} pageUrl See `getPageUrl()` in pins.js.
+ * @param {string} pinId
+ * @return {!Promise<void>}
+ */
+async function jumpToPin(pageUrl, pinId) {
+  let tab = (await chrome.tabs.query({}))
+                .find((tab) => canInject(tab.url) &&
+                          getPageUrl(tab.url) === pageUrl);
+  if (tab == null) {
+    tab = await chrome.tabs.create({url: pageUrl});
+    const tabLoad = waitForTabLoad(tab.id);
+    // The page will be turned on as soon as it loads. See `tabs.onUpdated`.
+    await saveManualTabState({id: tab.id, url: pageUrl}, true);
+    await tabLoad;
+  } else {
+    await chrome.tabs.update(tab.id, {active: true});
+    await chrome.windows.update(tab.windowId, {focused: true});
+    await saveManualTabState(tab, true);
+  }
+
+  await setHighlighterState(tab.id, 'on');
+  await chrome.tabs.sendMessage(tab.id, {type: 'scrollToPin', id: pinId});
+}
+
+// Toggles the ON/OFF extension status. This is also triggered by the
+// `_execute_action` keyboard shortcut.
+chrome.action.onClicked.addListener(async (tab) => {
+  if (!canInject(tab.url)) return;
+
+  const isTurnedOn = await setHighlighterState(tab.id, 'toggle');
+  await saveManualTabState(tab, isTurnedOn);
+});
+
+/**
+ * The message sent to the injected script for every command of the manifest
+ * other than `_execute_action`.
+ */
+const COMMAND_MESSAGE_TYPES = {
+  'toggle-keyboard-mode': 'toggleKeyboardMode',
+  'toggle-guided-reading': 'toggleGuidedReading',
+};
+
+// Toggles the keyboard mode or guided reading, turning the extension on first
+// if needed.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!Object.hasOwn(COMMAND_MESSAGE_TYPES, command) ||
+      !canInject(tab?.url)) {
+    return;
+  }
+
+  await setHighlighterState(tab.id, 'on');
+  await saveManualTabState(tab, true);
+  await chrome.tabs.sendMessage(
+      tab.id, {type: COMMAND_MESSAGE_TYPES[command]});
+});
+
+// Applies the manual state or the site rules every time a page finishes
+// loading, since the injected script doesn't survive reloads and navigations.
+// This also keeps the action button in sync with what is really injected.
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete') return;
+
+  if (!canInject(tab.url)) {
+    await updateAction(tabId, false);
+    return;
+  }
+
+  try {
+    const isTurnedOn = await shouldBeTurnedOn(tab);
+    await setHighlighterState(tabId, isTurnedOn ? 'on' : 'off');
+  } catch {
+    // Expected, e.g., if the tab navigated away, or if it's a page that we
+    // can't script, like the Chrome Web Store.
+    await updateAction(tabId, false);
+  }
+});
+
+// Frames that load after the tab was turned on, or that navigate, have to be
+// turned on on their own.
+chrome.webNavigation.onCompleted.addListener(async ({tabId, frameId}) => {
+  if (frameId === 0) return;  // `tabs.onUpdated` takes care of this one.
+
+  // Most frames, e.g., ads, load in tabs where the extension is off. We don't
+  // even look into those.
+  const key = tabStateKey(tabId);
+  const {[key]: isTurnedOn} = await chrome.storage.session.get(key);
+  if (!isTurnedOn) return;
+
+  try {
+    if (await isTurnedOnInTopFrame(tabId)) {
+      await setFramesState({tabId, frameIds: [frameId]}, true);
+    }
+  } catch {
+    // Expected, e.g., if the frame was removed already, or if its page can't
+    // be scripted. There's nothing else to do.
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove([manualTabStateKey(tabId), tabStateKey(tabId)]);
+  forgetHighlighterEvents(tabId);
+});
+
+// The pins page asks to show a pin. Content scripts can send messages too, so
+// we make sure that it comes from the pins page. That page is opened in a tab,
+// so `sender.tab` doesn't tell them apart, but its URL does.
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.type !== 'jumpToPin' ||
+      sender.url?.split(/[?#]/)[0] !== chrome.runtime.getURL('pins.html')) {
+    return;
+  }
+
+  jumpToPin(message.pageUrl, message.id).catch(() => {
+    // Expected, e.g., if the page can't be scripted anymore. The pin just
+    // isn't shown.
+  });
+});
+
+// Keeps the highlighter events that the injected script forwards. See
+// `highlighterEventKey()`.
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.type !== 'highlighterEvent' || sender.tab == null) return;
+
+  const {eventType, text, rects} = message;
+  if (eventType === 'stop') {
+    forgetHighlighterEvents(sender.tab.id);
+  } else if (eventType === 'wordchange' || eventType === 'linechange') {
+    chrome.storage.session.set({
+      [highlighterEventKey(sender.tab.id, eventType)]: {
+        frameId: sender.frameId,
+        text,
+        rects,
+      },
+    });
+  }
+});
+
+// Shows the count of occurrences of the highlighted word that the injected
+// script reports. Every frame reports its own, and the latest one wins.
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.type !== 'occurrencesChange' || sender.tab == null) return;
+
+  updateBadgeCount(sender.tab.id, message.count).catch(() => {
+    // Expected, e.g., if the tab was closed in the meantime.
+  });
+});
+
+// Adds the site of the current tab to the site rules, or opens one of the
+// extension pages.
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (Object.hasOwn(CONTEXT_MENU_PAGES, info.menuItemId)) {
+    await chrome.tabs.create({url: CONTEXT_MENU_PAGES[info.menuItemId]});
+    return;
+  }
+  if (!canInject(tab?.url)) return;
+
+  const isTurnedOn = info.menuItemId === 'alwaysOn';
+  await saveSettings(addSiteRule(tab.url, await loadSettings(), isTurnedOn));
+
+  // The new rule replaces whatever the user chose manually for this tab.
+  await chrome.storage.session.remove(manualTabStateKey(tab.id));
+  await setHighlighterState(tab.id, isTurnedOn ? 'on' : 'off');
+});
+
+// Pushes the new settings to the tabs where the extension is already turned on,
+// so they pick up the changes without having to be toggled again.
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync') return;
 
-  await Promise.all(
-      isTurnedOn ?
-          [
-            chrome.scripting.insertCSS({
-              target: {tabId: tab.id},
-              files: ['injected.css'],
-            }),
-            chrome.action.setTitle({
-              tabId: tab.id,
-              title: 'Hover Highlighter (ON)',
-            }),
-            chrome.action.setBadgeText({tabId: tab.id, text: 'ON'}),
-          ] :
-          [
-            chrome.scripting.removeCSS({
-              target: {tabId: tab.id},
-              files: ['injected.css'],
-            }),
-            chrome.action.setTitle({
-              tabId: tab.id,
-              title: 'Hover Highlighter (OFF)',
-            }),
-            chrome.action.setBadgeText({tabId: tab.id, text: ''}),
-          ]);
+  const message = {
+    type: 'updateArgs',
+    args: toHighlighterArgs(await loadSettings()),
+  };
+  for (const tab of await chrome.tabs.query({})) {
+    // Only the tabs where the extension is turned on are listening to this
+    // message. For all the other tabs, sending it fails, which is fine.
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+  }
 });
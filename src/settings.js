@@ -0,0 +1,342 @@
+/**
+ * @fileoverview
+ *
+ * The user-editable settings of the extension. They are persisted in
+ * `chrome.storage.sync`, so they follow the user across devices.
+ *
+ * This module is shared by the service worker and the options page. The
+ * injected script never reads the settings directly: the service worker
+ * converts them to the "highlighter args" (see `toHighlighterArgs()`) and hands
+ * those over to the injected script.
+ */
+
+// From their own modules rather than from hover-highlighter.js, since some of
+// its modules need a DOM, which the service worker doesn't have.
+import {COLOR_THEMES} from './highlighter/color-themes.js';
+import {HIGHLIGHT_STYLES, PIN_COLORS} from './highlighter/highlights.js';
+
+/**
+ * The default value of every setting. This object also acts as the schema of
+ * the settings: a setting that is not listed here is not a setting.
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+  highlightWords: true,
+  highlightLines: true,
+  highlightSentences: false,
+
+  // Whether the highlights follow the text caret instead of the pointer while
+  // a form field or rich text editor has the focus.
+  followTextCaret: false,
+
+  // Characters that separate words, on top of the built-in ones. See
+  // `isDelimiter()` in hover-highlighter.js.
+  extraWordDelimiters: '',
+
+  // Whether words are whole identifiers, brackets are matched, and lines are
+  // source lines inside code. See `getCodeElement()` in hover-highlighter.js.
+  codeAware: false,
+
+  // 'custom' for the colors below, or else the name of one of `COLOR_THEMES` in
+  // highlighter/color-themes.js, or 'auto' for colors that suit the page.
+  colorTheme: 'custom',
+
+  // How the line and the word are highlighted. See `styles` in
+  // `HoverHighlighterOptions` in hover-highlighter.js.
+  lineStyle: 'background',
+  wordStyle: 'background',
+
+  lineBackgroundColor: '#add8e6',  // light blue
+  lineBackgroundOpacity: 1,
+  lineTextColor: '#000000',
+  wordBackgroundColor: '#fde97d',  // yellow
+  wordBackgroundOpacity: 1,
+  wordTextColor: '#000000',
+  sentenceBackgroundColor: '#c8e6c9',  // light green
+  sentenceBackgroundOpacity: 1,
+  sentenceTextColor: '#000000',
+
+  // Emphasis for readers with dyslexia: the syllables of the highlighted word
+  // in alternating colors, and the first letters of every word of the
+  // highlighted line in bold (0 letters for none).
+  syllablesEnabled: false,
+  firstLetters: 0,
+
+  // The reading ruler, which dims the page except for a band around the line
+  // under the cursor.
+  focusMaskEnabled: false,
+  focusMaskExtraLines: 0,
+  focusMaskOpacity: 0.6,
+  focusMaskBlur: false,
+
+  // Highlighting the other occurrences of the word under the cursor in the
+  // page, and showing their count in the action badge.
+  occurrencesEnabled: false,
+  occurrencesColor: '#ffcc80',
+  occurrencesOpacity: 0.6,
+
+  // The magnifier lens, which shows the highlighted line enlarged. The font is
+  // a CSS font family, or empty for the font of the line.
+  magnifierEnabled: false,
+  magnifierZoom: 2,
+  magnifierFont: '',
+
+  // Reading aloud with the browser's speech synthesis. The voice is the
+  // `voiceURI` of a `SpeechSynthesisVoice`, or empty for the default voice.
+  speechEnabled: false,
+  speechVoice: '',
+  speechRate: 1,
+  speechPitch: 1,
+  speechDwellTime: 800,  // milliseconds
+
+  // Guided reading, which moves the highlighted line (and optionally the word)
+  // forward by itself. It's started and stopped with a keyboard shortcut.
+  guidedReadingWordsPerMinute: 250,
+  guidedReadingFollowWords: false,
+
+  // Pinning words and lines with Ctrl + Alt + click. The color is a key of
+  // `PIN_COLORS` in highlighter/highlights.js.
+  pinsEnabled: true,
+  pinColor: 'yellow',
+
+  // Capturing the words that the cursor rests on, or that are Alt + clicked,
+  // for language learners. See vocabulary.js.
+  vocabularyEnabled: false,
+  vocabularyDwellTime: 1500,  // milliseconds
+
+  // Whether the word and line changes are forwarded to the service worker,
+  // which keeps the latest ones of every tab in `chrome.storage.session`. See
+  // `highlighterEventKey()` in service-worker.js.
+  forwardEvents: false,
+
+  // See site-rules.js.
+  alwaysOnSites: Object.freeze([]),
+  neverOnSites: Object.freeze([]),
+});
+
+/**
+ * The inclusive [min, max] range of every numeric setting that is not an
+ * opacity. Opacities always lie in [0, 1].
+ */
+const NUMBER_SETTING_RANGES = Object.freeze({
+  focusMaskExtraLines: [0, 5],
+  magnifierZoom: [1.25, 5],
+  firstLetters: [0, 5],
+  speechRate: [0.5, 2],
+  speechPitch: [0, 2],
+  speechDwellTime: [200, 5000],
+  guidedReadingWordsPerMinute: [50, 1000],
+  vocabularyDwellTime: [300, 10000],
+});
+
+/**
+ * The values that every setting with a fixed set of choices can take. Their
+ * keys are not validated as colors even if they end in "Color".
+ *
+ * @type {!Object<string, !Array<string>>}
+ */
+const CHOICE_SETTING_VALUES = Object.freeze({
+  pinColor: Object.keys(PIN_COLORS),
+  colorTheme: ['custom', 'auto', ...Object.keys(COLOR_THEMES)],
+  lineStyle: HIGHLIGHT_STYLES,
+  wordStyle: HIGHLIGHT_STYLES,
+});
+
+/**
+ * Reads all the settings from storage. Settings that were never stored get
+ * their default value.
+ *
+ * @return {!Promise<!Object>}
+ */
+export async function loadSettings() {
+  return chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+/**
+ * Persists the given settings. Settings not present in `settings` are left
+ * untouched.
+ *
+ * @param {!Object} settings
+ * @return {!Promise<void>}
+ */
+export async function saveSettings(settings) {
+  await chrome.storage.sync.set(validateSettings(settings));
+}
+
+/**
+ * Restores every setting to its default value.
+ *
+ * @return {!Promise<void>}
+ */
+export async function resetSettings() {
+  await chrome.storage.sync.remove(Object.keys(DEFAULT_SETTINGS));
+}
+
+/**
+ * Checks that every entry of `settings` is a known setting with a valid value,
+ * and returns a copy of it. Throws an Error describing the first invalid entry.
+ *
+ * This is used to validate the settings imported from a JSON file, so we can't
+ * trust anything about `settings`.
+ *
+ * @param {*} settings
+ * @return {!Object}
+ */
+export function validateSettings(settings) {
+  if (settings == null || typeof settings !== 'object' ||
+      Array.isArray(settings)) {
+    throw new Error('Settings must be a JSON object.');
+  }
+
+  const validated = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (!Object.hasOwn(DEFAULT_SETTINGS, key)) {
+      throw new Error(`Unknown setting "${key}".`);
+    }
+    if (Object.hasOwn(CHOICE_SETTING_VALUES, key)) {
+      const values = CHOICE_SETTING_VALUES[key];
+      if (!values.includes(value)) {
+        throw new Error(`Setting "${key}" must be one of ${
+            values.map((choice) => `"${choice}"`).join(', ')}.`);
+      }
+      validated[key] = value;
+    } else if (key.endsWith('Color')) {
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        throw new Error(`Setting "${key}" must be a color like "#1a2b3c".`);
+      }
+      validated[key] = value.toLowerCase();
+    } else if (typeof DEFAULT_SETTINGS[key] === 'string') {
+      if (typeof value !== 'string') {
+        throw new Error(`Setting "${key}" must be a string.`);
+      }
+      validated[key] = value;
+    } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+      const [min, max] = NUMBER_SETTING_RANGES[key] ?? [0, 1];
+      if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        throw new Error(
+            `Setting "${key}" must be a number between ${min} and ${max}.`);
+      }
+      validated[key] = value;
+    } else if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Setting "${key}" must be true or false.`);
+      }
+      validated[key] = value;
+    } else if (key.endsWith('Sites')) {
+      if (!Array.isArray(value) ||
+          !value.every((site) => typeof site === 'string' && site !== '')) {
+        throw new Error(`Setting "${key}" must be a list of site patterns.`);
+      }
+      validated[key] = [...value];
+    }
+  }
+  return validated;
+}
+
+/**
+ * Converts a hex color like "#1a2b3c" and an opacity in [0, 1] to a CSS
+ * `rgba()` color.
+ *
+ * @param {string} hexColor
+ * @param {number} opacity
+ * @return {string}
+ */
+function toRgba(hexColor, opacity) {
+  const red = parseInt(hexColor.slice(1, 3), 16);
+  const green = parseInt(hexColor.slice(3, 5), 16);
+  const blue = parseInt(hexColor.slice(5, 7), 16);
+  return `rgba(${red}, ${green}, ${blue}, ${opacity})`;
+}
+
+/**
+ * @param {!Object} settings
+ * @return {!Object<string, {background: string, text: string}>} The colors
+ *     of every granularity chosen in the settings.
+ */
+function toCustomColors(settings) {
+  return {
+    line: {
+      background:
+          toRgba(settings.lineBackgroundColor, settings.lineBackgroundOpacity),
+      text: settings.lineTextColor,
+    },
+    word: {
+      background:
+          toRgba(settings.wordBackgroundColor, settings.wordBackgroundOpacity),
+      text: settings.wordTextColor,
+    },
+    sentence: {
+      background: toRgba(
+          settings.sentenceBackgroundColor, settings.sentenceBackgroundOpacity),
+      text: settings.sentenceTextColor,
+    },
+  };
+}
+
+/**
+ * Converts the settings to the arguments that the injected script expects in
+ * `window.hoverHighlighterArgs`. These are the options of
+ * `createHoverHighlighter()`, see `HoverHighlighterOptions` in
+ * hover-highlighter.js. Every color in there is a valid CSS color.
+ *
+ * @param {!Object} settings
+ * @return {!Object}
+ */
+export function toHighlighterArgs(settings) {
+  const granularities = [];
+  if (settings.highlightWords) granularities.push('word');
+  if (settings.highlightLines) granularities.push('line');
+  if (settings.highlightSentences) granularities.push('sentence');
+
+  const isCustomTheme = settings.colorTheme === 'custom';
+  return {
+    granularities,
+    theme: isCustomTheme ? 'default' : settings.colorTheme,
+    // Empty colors replace the custom ones that the highlighter may still
+    // have, so that the theme shows. See `update()` in hover-highlighter.js.
+    colors: isCustomTheme ? toCustomColors(settings) :
+                            {line: {}, word: {}, sentence: {}},
+    styles: {line: settings.lineStyle, word: settings.wordStyle},
+    extraWordDelimiters: settings.extraWordDelimiters,
+    codeAware: settings.codeAware,
+    followTextCaret: settings.followTextCaret,
+    forwardEvents: settings.forwardEvents,
+    focusMask: settings.focusMaskEnabled ?
+        {
+          extraLines: settings.focusMaskExtraLines,
+          opacity: settings.focusMaskOpacity,
+          blur: settings.focusMaskBlur,
+        } :
+        null,
+    occurrences: settings.occurrencesEnabled ?
+        {
+          color: toRgba(
+              settings.occurrencesColor, settings.occurrencesOpacity),
+        } :
+        null,
+    magnifier: settings.magnifierEnabled ?
+        {zoom: settings.magnifierZoom, font: settings.magnifierFont} :
+        null,
+    speech: settings.speechEnabled ?
+        {
+          voice: settings.speechVoice,
+          rate: settings.speechRate,
+          pitch: settings.speechPitch,
+          dwellTime: settings.speechDwellTime,
+        } :
+        null,
+    guidedReading: {
+      wordsPerMinute: settings.guidedReadingWordsPerMinute,
+      followWords: settings.guidedReadingFollowWords,
+    },
+    pins: settings.pinsEnabled ? {color: settings.pinColor} : null,
+    vocabulary: settings.vocabularyEnabled ?
+        {dwellTime: settings.vocabularyDwellTime} :
+        null,
+    emphasis: settings.syllablesEnabled || settings.firstLetters > 0 ?
+        {
+          syllables: settings.syllablesEnabled,
+          firstLetters: settings.firstLetters,
+        } :
+        null,
+  };
+}
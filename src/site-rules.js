@@ -0,0 +1,89 @@
+/**
+ * @fileoverview
+ *
+ * The per-site rules that decide whether the extension is turned on
+ * automatically when a page loads. The rules are two lists of site patterns
+ * stored in the settings: `alwaysOnSites` and `neverOnSites`.
+ *
+ * A site pattern is either:
+ *
+ * - A hostname, like "example.com". It matches that hostname and all its
+ *   subdomains, e.g., "docs.example.com".
+ * - A URL pattern, like "https://example.com/docs/*". It is recognized by
+ *   having a slash, and it must match the whole URL.
+ *
+ * Both kinds of patterns may use `*` as a wildcard for any run of characters.
+ */
+
+/**
+ * Converts a site pattern to a regular expression. Everything except the `*`
+ * wildcard is matched literally.
+ *
+ * @param {string} pattern
+ * @return {!RegExp}
+ */
+function toRegExp(pattern) {
+  const source = pattern.split('*')
+                     .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                     .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * @param {!URL} url
+ * @param {string} pattern
+ * @return {boolean}
+ */
+function matchesSitePattern(url, pattern) {
+  if (pattern.includes('/')) {
+    return toRegExp(pattern).test(url.href);
+  }
+  const regExp = toRegExp(pattern);
+  let hostname = url.hostname;
+  // Try the hostname, and then every parent domain of it.
+  while (true) {
+    if (regExp.test(hostname)) return true;
+    const dotIndex = hostname.indexOf('.');
+    if (dotIndex === -1) return false;
+    hostname = hostname.slice(dotIndex + 1);
+  }
+}
+
+/**
+ * Returns whether the rules say that the extension should be turned on (true)
+ * or off (false) for the given URL, or null if no rule applies to the URL.
+ * "Never" rules take precedence over "always" rules.
+ *
+ * @param {string} url
+ * @param {!Object} settings
+ * @return {?boolean}
+ */
+export function getSiteRule(url, settings) {
+  const parsedUrl = new URL(url);
+  const matches = (pattern) => matchesSitePattern(parsedUrl, pattern);
+
+  if (settings.neverOnSites.some(matches)) return false;
+  if (settings.alwaysOnSites.some(matches)) return true;
+  return null;
+}
+
+/**
+ * Returns the site rules updated so that the extension is always (if `isOn` is
+ * true) or never (otherwise) turned on for the hostname of the given URL. Only
+ * the `alwaysOnSites` and `neverOnSites` settings are returned.
+ *
+ * @param {string} url
+ * @param {!Object} settings
+ * @param {boolean} isOn
+ * @return {{alwaysOnSites: !Array<string>, neverOnSites: !Array<string>}}
+ */
+export function addSiteRule(url, settings, isOn) {
+  const {hostname} = new URL(url);
+  const withoutHostname = (patterns) => patterns.filter(
+      (pattern) => pattern.toLowerCase() !== hostname);
+
+  const alwaysOnSites = withoutHostname(settings.alwaysOnSites);
+  const neverOnSites = withoutHostname(settings.neverOnSites);
+  (isOn ? alwaysOnSites : neverOnSites).push(hostname);
+  return {alwaysOnSites, neverOnSites};
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview
+ *
+ * The vocabulary page, which lists the captured words (see vocabulary.js). From
+ * here the user can delete them, or export them as CSV or as a file that Anki
+ * imports.
+ */
+
+import {clearVocabulary, deleteVocabularyEntry, hasVocabularyChanges,
+        loadVocabulary, toAnkiTsv, toCsv} from './vocabulary.js';
+
+const tableBody = document.querySelector('#vocabulary tbody');
+const noWordsElement = document.getElementById('no-words');
+const status = document.getElementById('status');
+
+/**
+ * @param {string} message
+ * @param {boolean=} isError
+ */
+function showStatus(message, isError = false) {
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * @param {!VocabularyEntry} entry
+ * @return {!HTMLTableRowElement}
+ */
+function renderEntry(entry) {
+  const row = document.createElement('tr');
+
+  const wordCell = row.insertCell();
+  wordCell.textContent = entry.word;
+
+  const sentenceCell = row.insertCell();
+  sentenceCell.textContent = entry.sentence;
+
+  const link = document.createElement('a');
+  link.href = entry.url;
+  link.target = '_blank';
+  link.textContent = entry.title || entry.url;
+  link.title = new Date(entry.capturedAt).toLocaleString();
+  row.insertCell().append(link);
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', () => {
+    deleteVocabularyEntry(entry.word);
+  });
+  row.insertCell().append(deleteButton);
+
+  return row;
+}
+
+async function renderVocabulary() {
+  const entries = await loadVocabulary();
+  tableBody.replaceChildren(...entries.map(renderEntry));
+  noWordsElement.hidden = entries.length > 0;
+}
+
+/**
+ * @param {string} contents
+ * @param {string} type
+ * @param {string} fileName
+ */
+function download(contents, type, fileName) {
+  const url = URL.createObjectURL(new Blob([contents], {type}));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+const exportCsvButton = document.getElementById('export-csv-button');
+exportCsvButton.addEventListener('click', async () => {
+  download(
+      toCsv(await loadVocabulary()), 'text/csv',
+      'hover-highlighter-vocabulary.csv');
+  showStatus('Exported.');
+});
+
+const exportAnkiButton = document.getElementById('export-anki-button');
+exportAnkiButton.addEventListener('click', async () => {
+  download(
+      toAnkiTsv(await loadVocabulary()), 'text/tab-separated-values',
+      'hover-highlighter-vocabulary.txt');
+  showStatus('Exported. In Anki, choose File > Import and pick this file.');
+});
+
+document.getElementById('clear-button').addEventListener('click', async () => {
+  if (!confirm('Delete all the saved words?')) return;
+  await clearVocabulary();
+  showStatus('Deleted all the words.');
+});
+
+// Words are also captured while this page is open.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && hasVocabularyChanges(changes)) {
+    renderVocabulary();
+  }
+});
+
+await renderVocabulary();
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview
+ *
+ * The words captured for language learners (see `VocabularyCapture` in
+ * highlighter/vocabulary-capture.js). They are persisted in
+ * `chrome.storage.local`, one entry per word, so capturing a word again only
+ * updates its sentence and page.
+ *
+ * This module is shared by the injected script and the vocabulary page.
+ */
+
+const VOCABULARY_KEY_PREFIX = 'vocabulary:';
+
+/**
+ * A captured word.
+ *
+ * - sentence: The sentence where the word was last captured.
+ * - url, title: The page of that sentence.
+ * - capturedAt: When it was last captured, in milliseconds since the epoch.
+ *
+ * @typedef {{
+ *   word: string,
+ *   sentence: string,
+ *   url: string,
+ *   title: string,
+ *   capturedAt: number,
+ * }} VocabularyEntry
+ */
+
+/**
+ * The key in `chrome.storage.local` of the given word. The same word with
+ * other capitalization, e.g., at the start of a sentence, shares the key.
+ *
+ * @param {string} word
+ * @return {string}
+ */
+function vocabularyKey(word) {
+  return `${VOCABULARY_KEY_PREFIX}${word.toLowerCase()}`;
+}
+
+/**
+ * @param {!VocabularyEntry} entry
+ * @return {!Promise<void>}
+ */
+export async function saveVocabularyEntry(entry) {
+  await chrome.storage.local.set({[vocabularyKey(entry.word)]: entry});
+}
+
+/**
+ * @param {string} word
+ * @return {!Promise<void>}
+ */
+export async function deleteVocabularyEntry(word) {
+  await chrome.storage.local.remove(vocabularyKey(word));
+}
+
+/** @return {!Promise<void>} */
+export async function clearVocabulary() {
+  const keys = Object.keys(await chrome.storage.local.get())
+                   .filter((key) => key.startsWith(VOCABULARY_KEY_PREFIX));
+  await chrome.storage.local.remove(keys);
+}
+
+/**
+ * @return {!Promise<!Array<!VocabularyEntry>>} All the captured words, the
+ *     most recent first.
+ */
+export async function loadVocabulary() {
+  const entries = Object.entries(await chrome.storage.local.get())
+                      .filter(([key]) => key.startsWith(VOCABULARY_KEY_PREFIX))
+                      .map(([, entry]) => entry);
+  return entries.sort((a, b) => b.capturedAt - a.capturedAt);
+}
+
+/**
+ * @param {!Object<string, !chrome.storage.StorageChange>} changes
+ * @return {boolean} Whether the given changes of `chrome.storage.local` touch
+ *     any captured words.
+ */
+export function hasVocabularyChanges(changes) {
+  return Object.keys(changes).some(
+      (key) => key.startsWith(VOCABULARY_KEY_PREFIX));
+}
+
+/**
+ * @param {string} field
+ * @return {string} The field quoted for CSV, as per RFC 4180.
+ */
+function toCsvField(field) {
+  return /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field;
+}
+
+/**
+ * @param {!Array<!VocabularyEntry>} entries
+ * @return {string} The entries as CSV, with a header row.
+ */
+export function toCsv(entries) {
+  const rows = [
+    ['word', 'sentence', 'url', 'title', 'captured_at'],
+    ...entries.map(
+        (entry) =>
+            [entry.word, entry.sentence, entry.url, entry.title,
+             new Date(entry.capturedAt).toISOString()]),
+  ];
+  return rows.map((row) => row.map(toCsvField).join(',')).join('\r\n') +
+      '\r\n';
+}
+
+/**
+ * @param {string} text
+ * @return {string} The text escaped for an HTML field of Anki.
+ */
+function toAnkiHtml(text) {
+  return text.replaceAll('&', '&amp;')
+      .replaceAll('<', '&lt;')
+      .replaceAll('>', '&gt;')
+      .replaceAll('"', '&quot;');
+}
+
+/**
+ * @param {string} word
+ * @return {!RegExp} Matches the given word, but not as part of a longer word.
+ */
+function toWholeWordRegExp(word) {
+  const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(
+      `(?<![\\p{L}\\p{N}])${escapedWord}(?![\\p{L}\\p{N}])`, 'u');
+}
+
+/**
+ * Returns the entries as a file that Anki imports as notes with three fields:
+ * the word, the sentence with the word in bold, and a link to the page. Tabs
+ * and line breaks separate the fields and the notes, so they can't appear
+ * inside them.
+ *
+ * @param {!Array<!VocabularyEntry>} entries
+ * @return {string}
+ */
+export function toAnkiTsv(entries) {
+  const toField = (text) => text.replace(/[\t\r\n]+/g, ' ');
+  const lines = entries.map((entry) => {
+    const word = toAnkiHtml(toField(entry.word));
+    const sentence =
+        toAnkiHtml(toField(entry.sentence))
+            .replace(toWholeWordRegExp(word), (match) => `<b>${match}</b>`);
+    const source = `<a href="${toAnkiHtml(entry.url)}">${
+        toAnkiHtml(toField(entry.title || entry.url))}</a>`;
+    return [word, sentence, source].join('\t');
+  });
+  // The header lines tell Anki how to read the rest of the file.
+  return ['#separator:tab', '#html:true', ...lines].join('\n') + '\n';
+}